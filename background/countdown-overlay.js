@@ -0,0 +1,64 @@
+// Injected into the recorded page with chrome.scripting, so it has to stay self-contained.
+// Resolves true when the countdown finishes and false if the user presses Escape.
+function showCountdownOverlay(seconds) {
+    return new Promise(resolve => {
+        const overlay = document.createElement('div');
+        overlay.setAttribute('data-cursorflow-countdown', '');
+        overlay.style.cssText = [
+            'position: fixed',
+            'inset: 0',
+            'z-index: 2147483647',
+            'display: flex',
+            'flex-direction: column',
+            'align-items: center',
+            'justify-content: center',
+            'background: rgba(17, 24, 39, 0.45)',
+            'color: white',
+            'font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+            'pointer-events: auto'
+        ].join(';');
+
+        const number = document.createElement('div');
+        number.style.cssText = 'font-size: 160px; font-weight: 700; text-shadow: 0 8px 32px rgba(0, 0, 0, 0.4)';
+
+        const hint = document.createElement('div');
+        hint.style.cssText = 'font-size: 16px; opacity: 0.85';
+        hint.textContent = 'Recording starts soon - press Esc to cancel';
+
+        overlay.appendChild(number);
+        overlay.appendChild(hint);
+        document.documentElement.appendChild(overlay);
+
+        let remaining = seconds;
+        let timer = null;
+
+        const finish = (completed) => {
+            clearInterval(timer);
+            window.removeEventListener('keydown', onKeyDown, true);
+            overlay.remove();
+            // Give the page a frame to repaint so the overlay never reaches the recording
+            requestAnimationFrame(() => requestAnimationFrame(() => resolve(completed)));
+        };
+
+        const onKeyDown = (event) => {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                event.stopPropagation();
+                finish(false);
+            }
+        };
+
+        const tick = () => {
+            if (remaining <= 0) {
+                finish(true);
+                return;
+            }
+            number.textContent = remaining;
+            remaining--;
+        };
+
+        window.addEventListener('keydown', onKeyDown, true);
+        tick();
+        timer = setInterval(tick, 1000);
+    });
+}
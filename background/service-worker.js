@@ -1,21 +1,79 @@
 // CursorFlow Background Service Worker
+importScripts('/shared/recording-store.js', '/background/storage-manager.js', '/background/countdown-overlay.js');
+
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen/offscreen.html';
+
+// How long to wait for the recorder's final flush and for the chunk notifications it reports
+const STOP_ACK_TIMEOUT_MS = 15000;
+const CHUNK_WAIT_TIMEOUT_MS = 5000;
+
+// Used when a keyboard shortcut starts a recording before the popup ever has
+const LAST_SETTINGS_KEY = 'last_recording_settings';
+const DEFAULT_RECORDING_SETTINGS = {
+    quality: '1080p',
+    resolution: { width: 1920, height: 1080 },
+    fps: 30,
+    autoZoom: true,
+    countdown: 3,
+    maxDurationMinutes: 0,
+    maxSizeMb: 0,
+    showControlBar: true,
+    codec: 'auto',
+    bitrate: 'medium',
+    audio: { system: true, microphone: false },
+    webcam: { enabled: false },
+    keystrokes: { enabled: false, redactSelectors: '' },
+    blur: { enabled: false }
+};
+
+// Download file extensions by container; anything unknown is saved as WebM
+const FILE_EXTENSIONS = {
+    'video/webm': 'webm',
+    'video/mp4': 'mp4',
+    'video/x-matroska': 'mkv'
+};
+
+// Cursor batches carry these as the change from the previous event in the batch that had them
+const CURSOR_DELTA_FIELDS = ['x', 'y', 'screenX', 'screenY'];
+// Deeper nesting than this is treated as a frame whose position isn't known
+const FRAME_MAX_DEPTH = 16;
+
 class CursorFlowRecorder {
     constructor() {
         this.isRecording = false;
+        this.isStarting = false;
+        this.isStopping = false;
+        this.isPaused = false;
+        this.timerHandle = null;
         this.currentSession = null;
         this.recordedChunks = [];
+        this.chunkWaiter = null;
         this.cursorEvents = [];
+        this.cursorContexts = [];
+        this.frameContexts = new Map();
+        this.framePlacements = new Map();
+        this.trackedTabId = null;
+        this.navigationId = 0;
         this.settings = null;
+        this.store = new RecordingStore();
+        this.storageManager = new StorageManager(this.store, (recordingId) => this.deleteRecording(recordingId));
+        this.pendingDownloads = new Map();
         this.init();
     }
 
     init() {
         this.bindEvents();
+        this.migrateLegacyRecordings()
+            .then(() => this.storageManager.cleanupOrphans());
         console.log('CursorFlow service worker initialized');
     }
 
     bindEvents() {
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            if (message.target === 'offscreen') {
+                return false;
+            }
+
             this.handleMessage(message, sender, sendResponse);
             return true;
         });
@@ -23,13 +81,63 @@ class CursorFlowRecorder {
         chrome.action.onClicked.addListener(() => {
             chrome.action.openPopup();
         });
+
+        chrome.downloads.onChanged.addListener((delta) => this.handleDownloadChanged(delta));
+
+        chrome.commands.onCommand.addListener((command) => this.handleCommand(command));
+
+        // Cursor tracking follows the user to whichever tab and page they are looking at
+        chrome.tabs.onActivated.addListener((activeInfo) => this.handleTabActivated(activeInfo.tabId));
+        chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => this.handleTabUpdated(tabId, changeInfo, tab));
+        chrome.windows.onFocusChanged.addListener((windowId) => this.handleWindowFocusChanged(windowId));
+    }
+
+    // Shortcuts go through the same path as popup messages
+    async handleCommand(command) {
+        let message = null;
+
+        switch (command) {
+            case 'start-recording':
+                message = { action: 'START_RECORDING', data: await this.getLastSettings() };
+                break;
+
+            case 'stop-recording':
+                message = { action: 'STOP_RECORDING' };
+                break;
+
+            case 'toggle-pause':
+                message = { action: this.isPaused ? 'RESUME_RECORDING' : 'PAUSE_RECORDING' };
+                break;
+
+            default:
+                return;
+        }
+
+        await this.handleMessage(message, null, (response) => {
+            if (response && !response.success) {
+                console.log(`Shortcut ${command} failed:`, response.error);
+            }
+        });
+    }
+
+    async getLastSettings() {
+        const result = await chrome.storage.local.get([LAST_SETTINGS_KEY]);
+        return {
+            ...DEFAULT_RECORDING_SETTINGS,
+            ...(result[LAST_SETTINGS_KEY] || {}),
+            timestamp: Date.now()
+        };
     }
 
     async handleMessage(message, sender, sendResponse) {
         try {
             switch (message.action) {
                 case 'GET_STATUS':
-                    sendResponse({ isRecording: this.isRecording });
+                    sendResponse({
+                        isRecording: this.isRecording,
+                        isPaused: this.isPaused,
+                        elapsed: this.isRecording ? this.getElapsedTime() : 0
+                    });
                     break;
 
                 case 'START_RECORDING':
@@ -42,6 +150,28 @@ class CursorFlowRecorder {
                     sendResponse(stopResult);
                     break;
 
+                case 'PAUSE_RECORDING':
+                    const pauseResult = await this.pauseRecording();
+                    sendResponse(pauseResult);
+                    break;
+
+                case 'RESUME_RECORDING':
+                    const resumeResult = await this.resumeRecording();
+                    sendResponse(resumeResult);
+                    break;
+
+                case 'SET_AUDIO_GAIN':
+                    await this.setAudioGain(message.data.source, message.data.gain);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'GET_AUDIO_LEVELS':
+                    const levels = this.isRecording
+                        ? (await this.sendToOffscreen('OFFSCREEN_GET_AUDIO_LEVELS')).levels
+                        : {};
+                    sendResponse({ success: true, levels });
+                    break;
+
                 case 'GET_RECORDINGS':
                     const recordings = await this.getRecordings();
                     sendResponse({ success: true, recordings });
@@ -52,32 +182,69 @@ class CursorFlowRecorder {
                     sendResponse({ success: true });
                     break;
 
+                case 'SAVE_EXPORTED_RECORDING':
+                    const exportedId = await this.saveExportedRecording(message.data);
+                    sendResponse({ success: true, recordingId: exportedId });
+                    break;
+
+                case 'SAVE_PROJECT_RECORDING':
+                    const projectId = await this.saveProjectRecording(message.data);
+                    sendResponse({ success: true, recordingId: projectId });
+                    break;
+
+                case 'SAVE_RECORDING_EDITS':
+                    await this.saveRecordingEdits(message.data.recordingId, message.data.edits);
+                    sendResponse({ success: true });
+                    break;
+
                 case 'DELETE_RECORDING':
                     await this.deleteRecording(message.data.recordingId);
                     sendResponse({ success: true });
                     break;
 
+                case 'GET_STORAGE_STATUS':
+                    const storageStatus = await this.storageManager.getStatus();
+                    sendResponse({ success: true, status: storageStatus });
+                    break;
+
+                case 'SAVE_STORAGE_SETTINGS':
+                    await this.storageManager.saveSettings(message.data);
+                    const removedIds = await this.storageManager.applyRetentionPolicy();
+                    sendResponse({ success: true, removedIds, status: await this.storageManager.getStatus() });
+                    break;
+
+                case 'CLEANUP_STORAGE':
+                    const activeIds = this.currentSession ? [this.currentSession.id] : [];
+                    const orphans = await this.storageManager.cleanupOrphans(activeIds);
+                    const retained = await this.storageManager.applyRetentionPolicy();
+                    sendResponse({ success: true, orphans, removedIds: retained, status: await this.storageManager.getStatus() });
+                    break;
+
                 case 'OPEN_RECORDINGS_TAB':
                     await this.openRecordingsTab();
                     sendResponse({ success: true });
                     break;
 
-                case 'CURSOR_EVENT':
-                    this.handleCursorEvent(message.data);
+                case 'CAPTURE_ENDED':
+                    // The user stopped sharing from Chrome's own UI
+                    if (this.isRecording) {
+                        this.stopRecording();
+                    }
                     sendResponse({ success: true });
                     break;
 
+                case 'CURSOR_EVENTS':
+                    this.handleCursorEvents(message.data, sender);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'CURSOR_TRACKER_READY':
+                    // A freshly loaded page asks whether it should be tracking
+                    sendResponse({ success: true, tracking: this.getTrackingState(sender) });
+                    break;
+
                 case 'RECORD_CHUNK':
-                    if (message.data && message.data instanceof Blob) {
-                        console.log('Received blob chunk:', message.data.size, 'bytes');
-                        this.recordedChunks.push(message.data);
-                    } else if (message.data) {
-                        // Handle ArrayBuffer data
-                        console.log('Received buffer chunk');
-                        const uint8Array = new Uint8Array(message.data);
-                        this.recordedChunks.push(uint8Array);
-                    }
-                    console.log('Total chunks so far:', this.recordedChunks.length);
+                    this.handleRecordChunk(message.data);
                     sendResponse({ success: true });
                     break;
 
@@ -91,41 +258,83 @@ class CursorFlowRecorder {
     }
 
     async startRecording(settings) {
-        if (this.isRecording) {
+        if (this.isRecording || this.isStarting) {
             return { success: false, error: 'Already recording' };
         }
 
+        this.isStarting = true;
+
         try {
             this.settings = settings;
             this.currentSession = {
                 id: `recording_${Date.now()}`,
                 startTime: Date.now(),
-                settings: settings
+                settings: settings,
+                pausedAt: null,
+                pausedDuration: 0,
+                pauses: []
             };
 
-            // Initialize recording directly through content script
-            const result = await this.initializeRecordingFromContentScript(settings);
+            const streamId = await this.requestScreenCapture();
 
-            if (!result.success) {
-                return { success: false, error: result.error };
+            if (!streamId) {
+                this.currentSession = null;
+                this.isStarting = false;
+                return { success: false, error: 'Screen capture permission denied' };
             }
 
-            this.isRecording = true;
             this.recordedChunks = [];
             this.cursorEvents = [];
+            this.cursorContexts = [];
+            this.frameContexts.clear();
+            this.framePlacements.clear();
+            this.trackedTabId = null;
+            this.navigationId = 0;
+
+            await this.initializeRecording(streamId);
+
+            if (!(await this.runCountdown(settings.countdown))) {
+                await this.sendToOffscreen('OFFSCREEN_CANCEL_RECORDING');
+                await this.closeOffscreenDocument();
+                this.currentSession = null;
+                this.isStarting = false;
+                return { success: false, error: 'Countdown cancelled' };
+            }
 
-            await this.notifyContentScript('START_CURSOR_TRACKING', {
-                sessionId: this.currentSession.id,
-                settings: settings
-            });
+            const { capture } = await this.sendToOffscreen('OFFSCREEN_START_RECORDING');
+            this.handleCaptureStarted(capture);
+
+            // Cursor events are timed against this, not the moment the picker opened
+            this.currentSession.videoStartTime = Date.now();
+            this.isRecording = true;
+            this.isStarting = false;
+            this.startTimer();
+
+            chrome.storage.local.set({ [LAST_SETTINGS_KEY]: settings });
+
+            const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+            if (tab) {
+                await this.trackTab(tab);
+            }
 
             console.log('Recording started:', this.currentSession.id);
-            return { success: true, sessionId: this.currentSession.id };
+
+            let warning = null;
+            if (settings.audio && settings.audio.microphone && !(capture.audio && capture.audio.microphone)) {
+                warning = 'Microphone unavailable - recording without it';
+            } else if (settings.webcam && settings.webcam.enabled && !capture.webcam) {
+                warning = 'Webcam unavailable - recording without it';
+            } else if (capture.encoding && capture.encoding.fallback) {
+                warning = `${settings.codec.toUpperCase()} not supported - recording as ${capture.encoding.mimeType || 'browser default'}`;
+            }
+            return { success: true, sessionId: this.currentSession.id, warning };
 
         } catch (error) {
             console.error('Error starting recording:', error);
             this.isRecording = false;
+            this.isStarting = false;
             this.currentSession = null;
+            await this.closeOffscreenDocument();
             return { success: false, error: error.message };
         }
     }
@@ -134,21 +343,37 @@ class CursorFlowRecorder {
         if (!this.isRecording) {
             return { success: false, error: 'Not recording' };
         }
+        if (this.isStopping) {
+            return { success: false, error: 'Already stopping' };
+        }
+
+        this.isStopping = true;
+        this.stopTimer();
+        chrome.action.setBadgeText({ text: '' });
+        this.broadcastRecordingState({ isRecording: false });
 
         try {
-            // Stop the MediaRecorder first
-            await this.notifyContentScript('STOP_RECORDING', {
+            // Stopping from the paused state is allowed; close out the open pause first
+            this.endPause();
+
+            await this.notifyContentScript('STOP_CURSOR_TRACKING', {
                 sessionId: this.currentSession.id
             });
-
-            // Wait longer for chunks to arrive
-            console.log('Waiting for recording chunks...');
-            await new Promise(resolve => setTimeout(resolve, 2000));
+            this.trackedTabId = null;
+
+            // Whatever did make it to storage is still saved if the flush comes up short
+            let flushError = null;
+            try {
+                await this.flushRecording();
+            } catch (error) {
+                console.error('Recording flush incomplete:', error);
+                flushError = error;
+            }
 
             console.log('Total chunks received:', this.recordedChunks.length);
 
             let savedRecordingId = null;
-            if (this.recordedChunks.length > 0) {
+            if (this.recordedChunks.some(chunk => chunk.track === 'screen')) {
                 savedRecordingId = await this.saveRecording();
             } else {
                 console.warn('No recording chunks received - saving metadata only');
@@ -157,76 +382,289 @@ class CursorFlowRecorder {
             }
 
             this.isRecording = false;
+            this.isStopping = false;
+            this.isPaused = false;
 
             const sessionId = this.currentSession.id;
             this.currentSession = null;
 
+            await this.closeOffscreenDocument();
+
             // Auto-open the recording that was just created
             if (savedRecordingId) {
                 await this.openRecordingViewer(savedRecordingId);
             }
 
+            if (flushError) {
+                return { success: false, error: flushError.message, sessionId, recordingId: savedRecordingId };
+            }
+
             console.log('Recording stopped and opened:', sessionId);
             return { success: true, sessionId, recordingId: savedRecordingId };
 
         } catch (error) {
             console.error('Error stopping recording:', error);
             this.isRecording = false;
+            this.isStopping = false;
+            this.isPaused = false;
             this.currentSession = null;
+            await this.closeOffscreenDocument();
             return { success: false, error: error.message };
         }
     }
 
-    async startRecording(settings) {
-        if (this.isRecording) {
-            return { success: false, error: 'Already recording' };
+    startTimer() {
+        this.stopTimer();
+        this.updateRecordingTimer();
+        this.timerHandle = setInterval(() => this.updateRecordingTimer(), 1000);
+    }
+
+    stopTimer() {
+        if (this.timerHandle !== null) {
+            clearInterval(this.timerHandle);
+            this.timerHandle = null;
         }
+    }
 
-        try {
-            this.settings = settings;
-            this.currentSession = {
-                id: `recording_${Date.now()}`,
-                startTime: Date.now(),
-                settings: settings
-            };
+    // Video time so far; frozen while paused
+    getElapsedTime() {
+        const session = this.currentSession;
+        return Math.max(0, this.getVideoTime(this.isPaused ? session.pausedAt : Date.now()));
+    }
 
-            // Get the active tab first
-            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    getRecordedBytes() {
+        return this.recordedChunks.reduce((sum, chunk) => sum + chunk.size, 0);
+    }
 
-            // Request screen capture from service worker but pass tab info
-            const streamId = await this.requestScreenCapture(tab);
+    updateRecordingTimer() {
+        if (!this.isRecording || !this.currentSession) {
+            return;
+        }
 
-            if (!streamId) {
-                return { success: false, error: 'Screen capture permission denied' };
+        const elapsed = this.getElapsedTime();
+
+        chrome.action.setBadgeBackgroundColor({ color: this.isPaused ? '#ca8a04' : '#dc2626' });
+        chrome.action.setBadgeText({ text: this.isPaused ? '❚❚' : this.formatBadgeTime(elapsed) });
+
+        this.broadcastRecordingState({
+            isRecording: true,
+            isPaused: this.isPaused,
+            elapsed,
+            showControlBar: this.currentSession.settings.showControlBar !== false
+        });
+
+        this.checkRecordingLimits(elapsed);
+    }
+
+    // Auto-stops through the normal stop path so the recording is saved and opened as usual
+    checkRecordingLimits(elapsed) {
+        if (!this.isRecording || this.isStopping) {
+            return;
+        }
+
+        const settings = this.currentSession.settings;
+        const maxDuration = (settings.maxDurationMinutes || 0) * 60 * 1000;
+        const maxBytes = (settings.maxSizeMb || 0) * 1024 * 1024;
+
+        let reason = null;
+        if (maxDuration > 0 && elapsed >= maxDuration) {
+            reason = 'max-duration';
+        } else if (maxBytes > 0 && this.getRecordedBytes() >= maxBytes) {
+            reason = 'max-size';
+        }
+
+        if (reason) {
+            console.log('Recording limit reached:', reason);
+            this.currentSession.stopReason = reason;
+            this.stopRecording();
+        }
+    }
+
+    // The badge only fits about four characters
+    formatBadgeTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+
+        if (minutes >= 100) {
+            return `${Math.floor(minutes / 60)}h`;
+        }
+        return `${minutes}:${String(totalSeconds % 60).padStart(2, '0')}`;
+    }
+
+    // The control bar hides itself when these stop arriving, e.g. after a tab switch
+    async broadcastRecordingState(state) {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+            if (tab) {
+                await chrome.tabs.sendMessage(tab.id, { action: 'RECORDING_STATE', data: state });
             }
+        } catch (error) {
+            // Pages without the content script (browser pages, the Web Store) have no control bar
+        }
+    }
 
-            await this.initializeRecording(streamId, tab.id);
+    // Gain changes mid-recording are kept so the saved settings show the final mix
+    async setAudioGain(source, gain) {
+        if (!this.isRecording) {
+            return;
+        }
 
-            this.isRecording = true;
-            this.recordedChunks = [];
-            this.cursorEvents = [];
+        await this.sendToOffscreen('OFFSCREEN_SET_AUDIO_GAIN', { source, gain });
 
-            await this.notifyContentScript('START_CURSOR_TRACKING', {
-                sessionId: this.currentSession.id,
-                settings: settings
+        const audio = this.currentSession.settings.audio;
+        if (audio) {
+            audio[source === 'microphone' ? 'micGain' : 'systemGain'] = gain;
+        }
+    }
+
+    async pauseRecording() {
+        if (!this.isRecording) {
+            return { success: false, error: 'Not recording' };
+        }
+        if (this.isPaused) {
+            return { success: false, error: 'Already paused' };
+        }
+
+        try {
+            await this.sendToOffscreen('OFFSCREEN_PAUSE_RECORDING');
+
+            this.isPaused = true;
+            this.currentSession.pausedAt = Date.now();
+
+            await this.notifyContentScript('PAUSE_CURSOR_TRACKING', {
+                sessionId: this.currentSession.id
             });
 
-            console.log('Recording started:', this.currentSession.id);
-            return { success: true, sessionId: this.currentSession.id };
+            this.updateRecordingTimer();
+            console.log('Recording paused:', this.currentSession.id);
+            return { success: true };
+        } catch (error) {
+            console.error('Error pausing recording:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async resumeRecording() {
+        if (!this.isRecording || !this.isPaused) {
+            return { success: false, error: 'Not paused' };
+        }
+
+        try {
+            await this.sendToOffscreen('OFFSCREEN_RESUME_RECORDING');
+
+            this.endPause();
 
+            await this.notifyContentScript('RESUME_CURSOR_TRACKING', {
+                sessionId: this.currentSession.id
+            });
+
+            this.updateRecordingTimer();
+            console.log('Recording resumed:', this.currentSession.id);
+            return { success: true };
         } catch (error) {
-            console.error('Error starting recording:', error);
-            this.isRecording = false;
-            this.currentSession = null;
+            console.error('Error resuming recording:', error);
             return { success: false, error: error.message };
         }
     }
 
-    requestScreenCapture(tab) {
+    // Paused time is cut from the video, so it is cut from event times too
+    endPause() {
+        const session = this.currentSession;
+        if (!this.isPaused || !session || session.pausedAt === null) {
+            return;
+        }
+
+        const now = Date.now();
+        session.pauses.push({
+            videoTime: this.getVideoTime(session.pausedAt),
+            startedAt: session.pausedAt,
+            duration: now - session.pausedAt
+        });
+        session.pausedDuration += now - session.pausedAt;
+        session.pausedAt = null;
+        this.isPaused = false;
+    }
+
+    getVideoTime(now) {
+        const session = this.currentSession;
+        return now - (session.videoStartTime || session.startTime) - session.pausedDuration;
+    }
+
+    // Video time of a moment that may lie before the latest pauses, or null if nothing was being recorded then
+    getVideoTimeAt(timestamp) {
+        const session = this.currentSession;
+        if (session.pausedAt !== null && timestamp >= session.pausedAt) {
+            return null;
+        }
+
+        let pausedDuration = 0;
+        for (const pause of session.pauses) {
+            if (timestamp >= pause.startedAt + pause.duration) {
+                pausedDuration += pause.duration;
+            } else if (timestamp >= pause.startedAt) {
+                return null;
+            }
+        }
+
+        const videoTime = timestamp - (session.videoStartTime || session.startTime) - pausedDuration;
+        return videoTime >= 0 ? videoTime : null;
+    }
+
+    // The recorder acknowledges its final flush with the number of chunks it produced;
+    // wait for exactly those chunks instead of guessing how long delivery takes
+    async flushRecording() {
+        const ack = await this.withTimeout(
+            this.sendToOffscreen('OFFSCREEN_STOP_RECORDING'),
+            STOP_ACK_TIMEOUT_MS,
+            'Recorder did not confirm the final flush'
+        );
+
+        const expectedCount = ack.chunkCount - ack.failedChunks.length;
+        console.log('Recorder flushed', ack.chunkCount, 'chunks, last seq', ack.lastSeq);
+
+        await this.waitForChunks(expectedCount, CHUNK_WAIT_TIMEOUT_MS);
+
+        if (ack.failedChunks.length > 0) {
+            throw new Error(`${ack.failedChunks.length} of ${ack.chunkCount} recording chunks could not be saved`);
+        }
+    }
+
+    waitForChunks(expectedCount, timeoutMs) {
+        if (this.recordedChunks.length >= expectedCount) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.chunkWaiter = null;
+                reject(new Error(`Recording incomplete: received ${this.recordedChunks.length} of ${expectedCount} chunks`));
+            }, timeoutMs);
+
+            this.chunkWaiter = {
+                expectedCount,
+                resolve: () => {
+                    clearTimeout(timer);
+                    this.chunkWaiter = null;
+                    resolve();
+                }
+            };
+        });
+    }
+
+    withTimeout(promise, timeoutMs, message) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+        });
+
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    // Without a target tab the stream id is usable by the extension's own pages, including the offscreen document
+    requestScreenCapture() {
         return new Promise((resolve, reject) => {
             chrome.desktopCapture.chooseDesktopMedia(
-                ['screen', 'window', 'tab'],
-                tab,  // Pass the tab object
+                ['screen', 'window', 'tab', 'audio'],
                 (streamId) => {
                     if (chrome.runtime.lastError) {
                         reject(new Error(chrome.runtime.lastError.message));
@@ -238,90 +676,376 @@ class CursorFlowRecorder {
         });
     }
 
-    async initializeRecording(streamId, tabId) {
+    async initializeRecording(streamId) {
         try {
-            await chrome.scripting.executeScript({
-                target: { tabId: tabId },
-                func: function (streamId, settings) {
-                    const constraints = {
-                        video: {
-                            mandatory: {
-                                chromeMediaSource: 'desktop',
-                                chromeMediaSourceId: streamId,
-                                maxWidth: settings.resolution.width,
-                                maxHeight: settings.resolution.height,
-                                maxFrameRate: settings.fps
-                            }
-                        },
-                        audio: true
-                    };
-
-                    navigator.mediaDevices.getUserMedia(constraints)
-                        .then(stream => {
-                            const mediaRecorder = new MediaRecorder(stream, {
-                                mimeType: 'video/webm;codecs=vp9'
-                            });
-
-                            mediaRecorder.ondataavailable = (event) => {
-                                if (event.data.size > 0) {
-                                    console.log('MediaRecorder chunk received:', event.data.size, 'bytes');
-                                    chrome.runtime.sendMessage({
-                                        action: 'RECORD_CHUNK',
-                                        data: event.data
-                                    }).catch(err => console.log('Send chunk error:', err));
-                                }
-                            };
-
-                            mediaRecorder.onstop = () => {
-                                console.log('MediaRecorder stopped');
-                                // Force send any remaining data
-                                mediaRecorder.requestData();
-                                stream.getTracks().forEach(track => track.stop());
-                            };
-
-                            mediaRecorder.start(1000); // Record in 1-second chunks
-                            console.log('MediaRecorder started');
-                            window.cursorFlowRecorder = mediaRecorder;
-                        })
-                        .catch(error => {
-                            console.error('Error accessing media:', error);
-                        });
-                },
-                args: [streamId, this.settings]
+            await this.ensureOffscreenDocument();
+
+            const response = await this.sendToOffscreen('OFFSCREEN_PREPARE_RECORDING', {
+                recordingId: this.currentSession.id,
+                streamId: streamId,
+                settings: this.settings
             });
 
+            return response.capture;
         } catch (error) {
             throw new Error('Failed to initialize recording: ' + error.message);
         }
     }
 
-    handleCursorEvent(eventData) {
-        if (this.isRecording && this.currentSession) {
+    // Counts down on the action badge and, where scripts can run, over the active page.
+    // Resolves false if the user cancels from the page.
+    async runCountdown(seconds) {
+        if (!seconds || seconds <= 0) {
+            return true;
+        }
+
+        const startedAt = Date.now();
+        let remaining = seconds;
+        chrome.action.setBadgeBackgroundColor({ color: '#4338ca' });
+        chrome.action.setBadgeText({ text: String(remaining) });
+        const badgeTimer = setInterval(() => {
+            remaining--;
+            chrome.action.setBadgeText({ text: remaining > 0 ? String(remaining) : '' });
+        }, 1000);
+
+        let completed = true;
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+            const [injection] = await chrome.scripting.executeScript({
+                target: { tabId: tab.id },
+                func: showCountdownOverlay,
+                args: [seconds]
+            });
+            completed = injection.result !== false;
+        } catch (error) {
+            // Browser pages and the Web Store can't be scripted; the badge carries the countdown alone.
+            // The overlay may have been counting before it failed, e.g. when the tab navigated.
+            console.log('Countdown overlay unavailable:', error.message);
+            const left = seconds * 1000 - (Date.now() - startedAt);
+            await new Promise(resolve => setTimeout(resolve, Math.max(0, left)));
+        }
+
+        clearInterval(badgeTimer);
+        chrome.action.setBadgeText({ text: '' });
+        return completed;
+    }
+
+    async ensureOffscreenDocument() {
+        const contexts = await chrome.runtime.getContexts({
+            contextTypes: ['OFFSCREEN_DOCUMENT'],
+            documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)]
+        });
+
+        if (contexts.length > 0) {
+            return;
+        }
+
+        await chrome.offscreen.createDocument({
+            url: OFFSCREEN_DOCUMENT_PATH,
+            reasons: ['USER_MEDIA', 'DISPLAY_MEDIA', 'BLOBS'],
+            justification: 'Record the captured screen independently of the active tab and serve recordings for download'
+        });
+    }
+
+    // The offscreen document also backs download URLs, so only close it once nothing needs it
+    async closeOffscreenDocument() {
+        if (this.isRecording || this.pendingDownloads.size > 0) {
+            return;
+        }
+
+        try {
+            await chrome.offscreen.closeDocument();
+        } catch (error) {
+            console.log('Offscreen document already closed:', error.message);
+        }
+    }
+
+    async sendToOffscreen(action, data) {
+        const response = await chrome.runtime.sendMessage({ target: 'offscreen', action, data });
+
+        if (!response || !response.success) {
+            throw new Error((response && response.error) || 'Offscreen recorder did not respond');
+        }
+
+        return response;
+    }
+
+    handleCaptureStarted(captureInfo) {
+        if (this.currentSession) {
+            this.currentSession.capture = captureInfo;
+            console.log('Capture surface:', captureInfo);
+        }
+    }
+
+    // The chunk itself is already in IndexedDB; only its position and size are tracked here
+    handleRecordChunk(chunk) {
+        if (!chunk || !this.currentSession || chunk.recordingId !== this.currentSession.id) {
+            return;
+        }
+
+        console.log('Stored', chunk.track, 'chunk', chunk.seq + ':', chunk.size, 'bytes');
+        this.recordedChunks.push({ track: chunk.track, seq: chunk.seq, size: chunk.size });
+        console.log('Total chunks so far:', this.recordedChunks.length);
+
+        if (this.chunkWaiter && this.recordedChunks.length >= this.chunkWaiter.expectedCount) {
+            this.chunkWaiter.resolve();
+        }
+
+        if (this.isRecording) {
+            this.checkRecordingLimits(this.getElapsedTime());
+        }
+    }
+
+    // Every frame sends its events in batches: times and coordinates as deltas, and its url, title and
+    // viewport only when they change. Events are stored decoded in top-page coordinates, pointing at
+    // the page's shared context.
+    handleCursorEvents(batch, sender) {
+        const tabId = sender && sender.tab ? sender.tab.id : null;
+        const frameId = sender && Number.isInteger(sender.frameId) ? sender.frameId : 0;
+
+        // Ones from a tab the user just left no longer describe what is on screen
+        if (!this.isRecording || !this.currentSession || !batch || tabId !== this.trackedTabId) {
+            return;
+        }
+
+        // A page that navigated away may still flush its last batch; it keeps its own navigation
+        if (batch.context) {
+            const frame = { url: batch.context.url, viewport: batch.context.viewport, navigationId: this.navigationId };
+            if (frameId === 0) {
+                this.cursorContexts.push(batch.context);
+                frame.context = this.cursorContexts.length - 1;
+            }
+            this.frameContexts.set(`${tabId}:${frameId}`, frame);
+        }
+        const page = this.frameContexts.get(`${tabId}:0`) || { context: null, navigationId: this.navigationId };
+
+        // Page times are moved onto this worker's clock, which the session's start and pauses use
+        let timestamp = batch.origin + (Number.isFinite(batch.clockOffset) ? batch.clockOffset : 0);
+        const previous = {};
+
+        (batch.events || []).forEach(({ dt, ...event }) => {
+            // Steps are rounded to hundredths of a millisecond; summing them shouldn't add noise beyond that
+            timestamp = Math.round((timestamp + dt) * 100) / 100;
+            CURSOR_DELTA_FIELDS.forEach(field => {
+                if (Number.isFinite(event[field])) {
+                    previous[field] = (previous[field] || 0) + event[field];
+                    event[field] = previous[field];
+                }
+            });
+
+            if (event.type === 'frame-layout') {
+                this.updateFrameLayout(tabId, frameId, event);
+                return;
+            }
+
+            // Timed by the page, so events that sat in a batch while the recording paused are still dropped
+            const videoTime = this.getVideoTimeAt(timestamp);
+            if (videoTime === null) {
+                return;
+            }
+
+            const placed = frameId === 0 ? event : this.placeFrameEvent(tabId, frameId, event);
+            if (!placed) {
+                return;
+            }
+
             this.cursorEvents.push({
-                ...eventData,
+                ...placed,
+                context: page.context,
+                tabId,
+                navigationId: page.navigationId,
+                timestamp,
+                videoTime: Math.round(videoTime * 100) / 100
+            });
+        });
+    }
+
+    // A frame's report of where its child frames sit in its own viewport
+    updateFrameLayout(tabId, parentFrameId, layout) {
+        this.framePlacements.forEach((placement, key) => {
+            if (placement.tabId === tabId && placement.parentFrameId === parentFrameId) {
+                this.framePlacements.delete(key);
+            }
+        });
+
+        (layout.frames || []).forEach(frame => {
+            this.framePlacements.set(`${tabId}:${frame.frameId}`, { ...frame, tabId, parentFrameId });
+        });
+
+        // Regions from frames are placed on screen through the page's viewport
+        const page = this.frameContexts.get(`${tabId}:0`);
+        if (parentFrameId === 0 && page) {
+            page.screenOffset = layout.screenOffset;
+        }
+    }
+
+    // Moves a child frame's event into the top page's viewport one frame at a time. Scrolling inside a
+    // frame is already in its coordinates, and scrolling around it in the position its parent reported.
+    // Returns null for positioned events of a frame that hasn't been placed yet.
+    placeFrameEvent(tabId, frameId, event) {
+        const frame = this.frameContexts.get(`${tabId}:${frameId}`);
+        const placed = { ...event, frameUrl: frame ? frame.url : '', frameDepth: 0 };
+        const positioned = Number.isFinite(event.x) || Array.isArray(event.regions);
+        let current = frameId;
+
+        while (current !== 0) {
+            const placement = this.framePlacements.get(`${tabId}:${current}`);
+            const parent = placement && this.frameContexts.get(`${tabId}:${placement.parentFrameId}`);
+            if (!placement || !parent || placed.frameDepth >= FRAME_MAX_DEPTH) {
+                return positioned ? null : placed;
+            }
+
+            if (Number.isFinite(placed.x) && Number.isFinite(placed.y)) {
+                placed.x = placement.left + placed.x * placement.scaleX;
+                placed.y = placement.top + placed.y * placement.scaleY;
+            }
+            if (Array.isArray(placed.regions)) {
+                placed.regions = this.placeFrameRegions(placed.regions, placement, parent.viewport);
+            }
+
+            placed.frameDepth++;
+            current = placement.parentFrameId;
+        }
+
+        if (Array.isArray(placed.regions)) {
+            const page = this.frameContexts.get(`${tabId}:0`);
+            placed.screenOffset = page && page.screenOffset ? page.screenOffset : placed.screenOffset;
+        }
+
+        return placed;
+    }
+
+    // Regions of a frame that is partly scrolled out of view are cut to its parent's viewport
+    placeFrameRegions(regions, placement, viewport) {
+        const width = viewport ? viewport.width : Infinity;
+        const height = viewport ? viewport.height : Infinity;
+
+        return regions
+            .map(region => {
+                const x = Math.max(0, placement.left + region.x * placement.scaleX);
+                const y = Math.max(0, placement.top + region.y * placement.scaleY);
+                const right = Math.min(width, placement.left + (region.x + region.width) * placement.scaleX);
+                const bottom = Math.min(height, placement.top + (region.y + region.height) * placement.scaleY);
+                return { ...region, x: Math.round(x), y: Math.round(y), width: Math.round(right - x), height: Math.round(bottom - y) };
+            })
+            .filter(region => region.width >= 1 && region.height >= 1);
+    }
+
+    // What a content script needs to start tracking, or null if its tab isn't the tracked one
+    getTrackingState(sender) {
+        if (!this.isRecording || this.isStopping || !sender || !sender.tab || sender.tab.id !== this.trackedTabId) {
+            return null;
+        }
+
+        return {
+            sessionId: this.currentSession.id,
+            settings: this.currentSession.settings,
+            paused: this.isPaused
+        };
+    }
+
+    // Moves tracking to a tab: the previous page stops sending, the new one starts, and the switch
+    // is marked in the event stream so playback doesn't glide the cursor between unrelated pages
+    async trackTab(tab) {
+        const previousTabId = this.trackedTabId;
+        if (previousTabId === tab.id) {
+            return;
+        }
+
+        if (previousTabId !== null) {
+            await this.sendToTab(previousTabId, 'STOP_CURSOR_TRACKING', { sessionId: this.currentSession.id });
+        }
+
+        this.trackedTabId = tab.id;
+        this.navigationId++;
+        this.recordTrackingBoundary('tab-activated', tab, { previousTabId });
+
+        await this.sendToTab(tab.id, 'START_CURSOR_TRACKING', {
+            sessionId: this.currentSession.id,
+            settings: this.currentSession.settings,
+            paused: this.isPaused
+        });
+    }
+
+    async handleTabActivated(tabId) {
+        if (!this.isRecording || this.isStopping || tabId === this.trackedTabId) {
+            return;
+        }
+
+        try {
+            await this.trackTab(await chrome.tabs.get(tabId));
+        } catch (error) {
+            console.log('Could not follow tab switch:', error.message);
+        }
+    }
+
+    async handleWindowFocusChanged(windowId) {
+        if (!this.isRecording || this.isStopping || windowId === chrome.windows.WINDOW_ID_NONE) {
+            return;
+        }
+
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, windowId });
+            if (tab) {
+                await this.handleTabActivated(tab.id);
+            }
+        } catch (error) {
+            console.log('Could not follow window focus:', error.message);
+        }
+    }
+
+    // A new document gets a fresh content script, which asks to be started once it loads;
+    // the explicit start on completion covers pages restored from the back/forward cache
+    async handleTabUpdated(tabId, changeInfo, tab) {
+        if (!this.isRecording || this.isStopping || tabId !== this.trackedTabId) {
+            return;
+        }
+
+        if (changeInfo.url) {
+            this.navigationId++;
+            this.recordTrackingBoundary('navigation', tab);
+        }
+
+        if (changeInfo.status === 'complete') {
+            await this.sendToTab(tabId, 'START_CURSOR_TRACKING', {
                 sessionId: this.currentSession.id,
-                timestamp: Date.now()
+                settings: this.currentSession.settings,
+                paused: this.isPaused
             });
         }
     }
 
+    // Boundaries are kept while paused too, at the frozen video time, so the page in view is always known
+    recordTrackingBoundary(type, tab, extra = {}) {
+        const now = Date.now();
+        this.cursorEvents.push({
+            type,
+            ...extra,
+            sessionId: this.currentSession.id,
+            tabId: tab.id,
+            navigationId: this.navigationId,
+            url: tab.url || tab.pendingUrl || '',
+            title: tab.title || '',
+            timestamp: now,
+            videoTime: this.getElapsedTime()
+        });
+    }
+
     async notifyContentScript(action, data) {
-        try {
+        let tabId = this.trackedTabId;
+        if (tabId === null) {
             const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            tabId = tab ? tab.id : null;
+        }
 
-            if (action === 'STOP_RECORDING') {
-                await chrome.scripting.executeScript({
-                    target: { tabId: tab.id },
-                    func: function () {
-                        if (window.cursorFlowRecorder && window.cursorFlowRecorder.state === 'recording') {
-                            console.log('Stopping MediaRecorder...');
-                            window.cursorFlowRecorder.stop();
-                        }
-                    }
-                });
-            }
+        if (tabId !== null) {
+            await this.sendToTab(tabId, action, data);
+        }
+    }
 
-            await chrome.tabs.sendMessage(tab.id, { action, data });
+    async sendToTab(tabId, action, data) {
+        try {
+            await chrome.tabs.sendMessage(tabId, { action, data });
         } catch (error) {
             console.log('Note: Content script notification failed (normal for extension pages):', error.message);
         }
@@ -334,24 +1058,27 @@ class CursorFlowRecorder {
         }
 
         try {
-            console.log('Saving recording with', this.recordedChunks.length, 'chunks');
+            const stats = await this.store.getStats(this.currentSession.id);
+            console.log('Saving recording with', stats.count, 'chunks,', stats.size, 'bytes');
 
-            // Create blob from chunks
-            const blob = new Blob(this.recordedChunks, { type: 'video/webm' });
-            console.log('Created blob of size:', blob.size);
-
-            const base64Data = await this.blobToBase64(blob);
-            console.log('Converted to base64, length:', base64Data.length);
+            const webcam = await this.getWebcamTrackInfo();
 
             const recording = {
                 id: this.currentSession.id,
                 timestamp: this.currentSession.startTime,
+                videoStartTime: this.currentSession.videoStartTime,
+                capture: this.currentSession.capture || null,
                 settings: this.currentSession.settings,
-                duration: Date.now() - this.currentSession.startTime,
+                duration: this.getVideoTime(Date.now()),
+                pauses: this.currentSession.pauses,
+                stopReason: this.currentSession.stopReason || 'user',
                 cursorEvents: this.cursorEvents,
-                videoData: base64Data,
-                size: blob.size,
-                mimeType: 'video/webm'
+                cursorContexts: this.cursorContexts,
+                storage: 'indexeddb',
+                size: stats.size + (webcam ? webcam.size : 0),
+                mimeType: this.getRecordedMimeType(),
+                encoding: this.currentSession.capture ? this.currentSession.capture.encoding : null,
+                webcam
             };
 
             await this.saveToStorage(recording);
@@ -365,13 +1092,32 @@ class CursorFlowRecorder {
         }
     }
 
-    blobToBase64(blob) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result);
-            reader.onerror = reject;
-            reader.readAsDataURL(blob);
-        });
+    // What the recorder actually produced, which may differ from the codec that was asked for
+    getRecordedMimeType() {
+        const capture = this.currentSession.capture;
+        return (capture && capture.encoding && capture.encoding.mimeType) || 'video/webm';
+    }
+
+    async getWebcamTrackInfo() {
+        const capture = this.currentSession.capture;
+        if (!capture || !capture.webcam) {
+            return null;
+        }
+
+        const storageId = this.store.trackId(this.currentSession.id, 'webcam');
+        const stats = await this.store.getStats(storageId);
+        if (stats.count === 0) {
+            return null;
+        }
+
+        return {
+            storageId,
+            size: stats.size,
+            mimeType: capture.webcam.mimeType || 'video/webm',
+            width: capture.webcam.width,
+            height: capture.webcam.height,
+            startOffset: capture.webcam.startOffset
+        };
     }
 
     async saveToStorage(recording) {
@@ -389,14 +1135,19 @@ class CursorFlowRecorder {
             timestamp: recording.timestamp,
             duration: recording.duration,
             size: recording.size,
-            settings: recording.settings
+            settings: recording.settings,
+            sourceRecordingId: recording.sourceRecordingId,
+            project: recording.project ? {
+                clipCount: recording.project.clips.length,
+                sourceCount: recording.project.sourceRecordingIds.length
+            } : undefined
         });
 
-        const updatedList = recordingsList.slice(0, 10);
-
         await chrome.storage.local.set({
-            recordings_list: updatedList
+            recordings_list: recordingsList
         });
+
+        await this.storageManager.applyRetentionPolicy([recording.id]);
     }
 
     async getRecordings() {
@@ -409,7 +1160,19 @@ class CursorFlowRecorder {
         }
     }
 
+    getDownloadFilename(recording) {
+        const stamp = new Date(recording.timestamp).toISOString().slice(0, 19).replace(/[:.]/g, '-');
+        const container = (recording.mimeType || 'video/webm').split(';')[0].trim();
+        const extension = FILE_EXTENSIONS[container] || 'webm';
+        // Keep exports from overwriting the download of the recording they came from
+        const suffix = recording.sourceRecordingId ? '_export' : '';
+
+        return `cursorflow_${stamp}${suffix}.${extension}`;
+    }
+
     async downloadRecording(recordingId) {
+        let url = null;
+
         try {
             const result = await chrome.storage.local.get([`recording_${recordingId}`]);
             const recording = result[`recording_${recordingId}`];
@@ -418,29 +1181,150 @@ class CursorFlowRecorder {
                 throw new Error('Recording not found');
             }
 
-            const response = await fetch(recording.videoData);
-            const blob = await response.blob();
+            const filename = this.getDownloadFilename(recording);
 
-            const url = URL.createObjectURL(blob);
-            const filename = `cursorflow_${new Date(recording.timestamp).toISOString().slice(0, 19).replace(/[:.]/g, '-')}.webm`;
+            if (recording.storage === 'indexeddb') {
+                // Service workers cannot mint blob URLs, so the offscreen document does it
+                await this.ensureOffscreenDocument();
+                const response = await this.sendToOffscreen('OFFSCREEN_PREPARE_DOWNLOAD', {
+                    recordingId: recording.id,
+                    mimeType: recording.mimeType
+                });
+                url = response.url;
+            } else if (recording.videoData) {
+                url = recording.videoData;
+            } else {
+                throw new Error('Recording has no video data');
+            }
 
-            await chrome.downloads.download({
+            const downloadId = await chrome.downloads.download({
                 url: url,
                 filename: filename,
                 saveAs: true
             });
 
-            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            if (url.startsWith('blob:')) {
+                this.pendingDownloads.set(downloadId, url);
+            }
 
         } catch (error) {
             console.error('Error downloading recording:', error);
+            if (url && url.startsWith('blob:')) {
+                await this.releaseDownloadUrl(url);
+            }
             throw error;
         }
     }
 
+    async handleDownloadChanged(delta) {
+        const url = this.pendingDownloads.get(delta.id);
+        if (!url || !delta.state || delta.state.current === 'in_progress') {
+            return;
+        }
+
+        this.pendingDownloads.delete(delta.id);
+        await this.releaseDownloadUrl(url);
+    }
+
+    async releaseDownloadUrl(url) {
+        try {
+            await this.sendToOffscreen('OFFSCREEN_RELEASE_DOWNLOAD', { url });
+        } catch (error) {
+            console.log('Download URL already released:', error.message);
+        }
+        await this.closeOffscreenDocument();
+    }
+
+    async saveExportedRecording(data) {
+        const sourceKey = `recording_${data.sourceRecordingId}`;
+        const result = await chrome.storage.local.get([sourceKey]);
+        const source = result[sourceKey];
+
+        if (!source) {
+            throw new Error('Source recording not found');
+        }
+
+        // The editor has already written the video into IndexedDB under this id.
+        // Effects are baked into the frames, so they start switched off. Cursor events only come
+        // along (re-timed to the edited video) when the frames still match the source geometry
+        const recording = {
+            id: data.recordingId,
+            timestamp: Date.now(),
+            settings: { ...source.settings, autoZoom: false },
+            duration: data.duration || source.duration,
+            cursorEvents: data.cursorEvents || [],
+            capture: source.capture || null,
+            edits: {
+                clickEffects: { enabled: false },
+                cursor: { enabled: false },
+                keystrokes: { enabled: false },
+                blur: { enabled: false }
+            },
+            storage: 'indexeddb',
+            size: data.size,
+            mimeType: data.mimeType,
+            sourceRecordingId: source.id
+        };
+
+        await this.saveToStorage(recording);
+        console.log('Exported recording saved:', recording.id, 'from', source.id);
+
+        return recording.id;
+    }
+
+    // A project is several recordings' clips merged into one video. Its cursor events arrive already
+    // re-timed and placed on the merged frame, so the editor can add effects to it like any recording
+    async saveProjectRecording(data) {
+        const sourceIds = [...new Set(data.clips.map(clip => clip.recordingId))];
+        const result = await chrome.storage.local.get(sourceIds.map(id => `recording_${id}`));
+        const first = result[`recording_${sourceIds[0]}`];
+
+        if (!first) {
+            throw new Error('Source recording not found');
+        }
+
+        const recording = {
+            id: data.recordingId,
+            timestamp: Date.now(),
+            settings: { ...first.settings },
+            duration: data.duration,
+            cursorEvents: data.cursorEvents || [],
+            capture: data.capture,
+            storage: 'indexeddb',
+            size: data.size,
+            mimeType: data.mimeType,
+            project: {
+                clips: data.clips.map(clip => ({ recordingId: clip.recordingId, start: clip.start, end: clip.end })),
+                sourceRecordingIds: sourceIds
+            }
+        };
+
+        await this.saveToStorage(recording);
+        console.log('Project saved:', recording.id, 'from', sourceIds.join(', '));
+
+        return recording.id;
+    }
+
+    async saveRecordingEdits(recordingId, edits) {
+        const storageKey = `recording_${recordingId}`;
+        const result = await chrome.storage.local.get([storageKey]);
+        const recording = result[storageKey];
+
+        if (!recording) {
+            throw new Error('Recording not found');
+        }
+
+        recording.edits = edits;
+
+        await chrome.storage.local.set({
+            [storageKey]: recording
+        });
+    }
+
     async deleteRecording(recordingId) {
         try {
             await chrome.storage.local.remove([`recording_${recordingId}`]);
+            await this.store.deleteRecording(recordingId);
 
             const result = await chrome.storage.local.get(['recordings_list']);
             const recordingsList = result.recordings_list || [];
@@ -462,17 +1346,54 @@ class CursorFlowRecorder {
         await chrome.tabs.create({ url });
     }
 
+    async openRecordingViewer(recordingId) {
+        const url = chrome.runtime.getURL(`editor/recordings.html?id=${encodeURIComponent(recordingId)}`);
+        await chrome.tabs.create({ url });
+    }
+
+    // Moves video data that older versions stored inline as base64 into IndexedDB
+    async migrateLegacyRecordings() {
+        try {
+            const allData = await chrome.storage.local.get(null);
+            const legacyKeys = Object.keys(allData).filter(key =>
+                key.startsWith('recording_') && allData[key] && allData[key].videoData
+            );
+
+            for (const key of legacyKeys) {
+                const recording = allData[key];
+                const response = await fetch(recording.videoData);
+                const blob = await response.blob();
+
+                await this.store.deleteRecording(recording.id);
+                await this.store.putBlob(recording.id, blob);
+
+                delete recording.videoData;
+                recording.storage = 'indexeddb';
+                recording.size = blob.size;
+
+                await chrome.storage.local.set({ [key]: recording });
+                console.log('Migrated recording to IndexedDB:', recording.id);
+            }
+        } catch (error) {
+            console.error('Error migrating recordings:', error);
+        }
+    }
+
     async saveEmptyRecording() {
         try {
             const recording = {
                 id: this.currentSession.id,
                 timestamp: this.currentSession.startTime,
+                videoStartTime: this.currentSession.videoStartTime,
+                capture: this.currentSession.capture || null,
                 settings: this.currentSession.settings,
-                duration: Date.now() - this.currentSession.startTime,
+                duration: this.getVideoTime(Date.now()),
+                pauses: this.currentSession.pauses,
+                stopReason: this.currentSession.stopReason || 'user',
                 cursorEvents: this.cursorEvents,
-                videoData: null, // No video data
+                cursorContexts: this.cursorContexts,
                 size: 0,
-                mimeType: 'video/webm',
+                mimeType: this.getRecordedMimeType(),
                 error: 'No video data received'
             };
 
@@ -0,0 +1,150 @@
+// Storage quota, retention policies and orphan cleanup for the recordings library
+const STORAGE_SETTINGS_KEY = 'storage_settings';
+
+const STORAGE_DEFAULTS = {
+    quotaBytes: 2 * 1024 * 1024 * 1024,
+    lowSpaceBytes: 200 * 1024 * 1024,
+    // Retention limits; 0 disables a limit
+    maxCount: 0,
+    maxAgeDays: 0,
+    maxTotalBytes: 0
+};
+
+// Chunks written this recently may belong to a recording or export that is still being saved
+const ORPHAN_GRACE_MS = 5 * 60 * 1000;
+
+class StorageManager {
+    constructor(store, deleteRecording) {
+        this.store = store;
+        this.deleteRecording = deleteRecording;
+    }
+
+    async getSettings() {
+        const result = await chrome.storage.local.get([STORAGE_SETTINGS_KEY]);
+        return { ...STORAGE_DEFAULTS, ...(result[STORAGE_SETTINGS_KEY] || {}) };
+    }
+
+    async saveSettings(settings) {
+        const current = await this.getSettings();
+        const updated = { ...current };
+
+        Object.keys(STORAGE_DEFAULTS).forEach(key => {
+            const value = Number(settings[key]);
+            if (key in settings && Number.isFinite(value) && value >= 0) {
+                updated[key] = value;
+            }
+        });
+
+        await chrome.storage.local.set({ [STORAGE_SETTINGS_KEY]: updated });
+        return updated;
+    }
+
+    async getRecordingsList() {
+        const result = await chrome.storage.local.get(['recordings_list']);
+        return result.recordings_list || [];
+    }
+
+    async getStatus() {
+        const settings = await this.getSettings();
+        const recordings = await this.getRecordingsList();
+        const usedBytes = recordings.reduce((sum, r) => sum + (r.size || 0), 0);
+
+        let browserUsage = null;
+        let browserQuota = null;
+        if (navigator.storage && navigator.storage.estimate) {
+            const estimate = await navigator.storage.estimate();
+            browserUsage = estimate.usage;
+            browserQuota = estimate.quota;
+        }
+
+        let availableBytes = Math.max(0, settings.quotaBytes - usedBytes);
+        if (browserQuota !== null) {
+            availableBytes = Math.min(availableBytes, Math.max(0, browserQuota - browserUsage));
+        }
+
+        return {
+            settings,
+            count: recordings.length,
+            usedBytes,
+            quotaBytes: settings.quotaBytes,
+            availableBytes,
+            browserUsage,
+            browserQuota,
+            lowSpace: availableBytes < settings.lowSpaceBytes
+        };
+    }
+
+    // Deletes the oldest recordings until every enabled limit holds
+    async applyRetentionPolicy(protectedIds = []) {
+        const settings = await this.getSettings();
+        const recordings = (await this.getRecordingsList())
+            .slice()
+            .sort((a, b) => b.timestamp - a.timestamp);
+
+        const now = Date.now();
+        const keep = [];
+        const remove = [];
+        let totalBytes = 0;
+
+        recordings.forEach(recording => {
+            const isProtected = protectedIds.includes(recording.id);
+            const tooMany = settings.maxCount > 0 && keep.length >= settings.maxCount;
+            const tooOld = settings.maxAgeDays > 0 &&
+                now - recording.timestamp > settings.maxAgeDays * 24 * 60 * 60 * 1000;
+            const tooBig = settings.maxTotalBytes > 0 &&
+                totalBytes + (recording.size || 0) > settings.maxTotalBytes;
+
+            if (!isProtected && (tooMany || tooOld || tooBig)) {
+                remove.push(recording);
+            } else {
+                keep.push(recording);
+                totalBytes += recording.size || 0;
+            }
+        });
+
+        for (const recording of remove) {
+            console.log('Retention policy removing recording:', recording.id);
+            await this.deleteRecording(recording.id);
+        }
+
+        return remove.map(recording => recording.id);
+    }
+
+    // Removes recording data that no longer has an entry in recordings_list
+    async cleanupOrphans(activeIds = []) {
+        const listedIds = new Set((await this.getRecordingsList()).map(r => r.id));
+        activeIds.forEach(id => listedIds.add(id));
+
+        const allData = await chrome.storage.local.get(null);
+        const orphanKeys = Object.keys(allData).filter(key =>
+            key.startsWith('recording_') && allData[key] && !listedIds.has(allData[key].id)
+        );
+
+        if (orphanKeys.length > 0) {
+            await chrome.storage.local.remove(orphanKeys);
+        }
+
+        let orphanChunks = 0;
+        const storedIds = await this.store.listRecordingIds();
+
+        for (const id of storedIds) {
+            if (listedIds.has(this.store.ownerId(id))) {
+                continue;
+            }
+
+            const stats = await this.store.getStats(id);
+            if (Date.now() - stats.updatedAt < ORPHAN_GRACE_MS) {
+                continue;
+            }
+
+            await this.store.deleteRecording(id);
+            orphanChunks++;
+        }
+
+        if (orphanKeys.length > 0 || orphanChunks > 0) {
+            console.log('Removed orphaned recording data:', orphanKeys.length, 'entries,', orphanChunks, 'chunk sets');
+        }
+
+        return { entries: orphanKeys.length, chunkSets: orphanChunks };
+    }
+}
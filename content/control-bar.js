@@ -0,0 +1,154 @@
+// Floating in-page timer with pause and stop buttons, shown while a recording runs
+const CONTROL_BAR_STALE_MS = 2500;
+
+class RecordingControlBar {
+    constructor() {
+        this.host = null;
+        this.isPaused = false;
+        this.staleTimer = null;
+
+        this.init();
+    }
+
+    init() {
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.action === 'RECORDING_STATE') {
+                this.update(message.data);
+            }
+            return false;
+        });
+    }
+
+    update(state) {
+        if (!state.isRecording || !state.showControlBar) {
+            this.remove();
+            return;
+        }
+
+        if (!this.host) {
+            this.create();
+        }
+
+        this.isPaused = state.isPaused;
+        this.timeLabel.textContent = this.formatTime(state.elapsed);
+        this.indicator.classList.toggle('paused', state.isPaused);
+        this.pauseButton.textContent = state.isPaused ? '▶' : '❚❚';
+        this.pauseButton.title = state.isPaused ? 'Resume recording' : 'Pause recording';
+
+        // The service worker only updates the active tab, so go away once updates stop
+        clearTimeout(this.staleTimer);
+        this.staleTimer = setTimeout(() => this.remove(), CONTROL_BAR_STALE_MS);
+    }
+
+    create() {
+        this.host = document.createElement('div');
+        this.host.setAttribute('data-cursorflow-control-bar', '');
+
+        // A closed shadow root keeps page styles out and the bar out of page scripts' way
+        const root = this.host.attachShadow({ mode: 'closed' });
+        root.innerHTML = `
+            <style>
+                .bar {
+                    position: fixed;
+                    left: 16px;
+                    bottom: 16px;
+                    z-index: 2147483647;
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    padding: 6px 10px;
+                    background: rgba(17, 24, 39, 0.85);
+                    border-radius: 999px;
+                    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+                    color: white;
+                    font: 600 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                    user-select: none;
+                }
+
+                .indicator {
+                    width: 10px;
+                    height: 10px;
+                    border-radius: 50%;
+                    background: #ef4444;
+                }
+
+                .indicator.paused {
+                    background: #facc15;
+                }
+
+                .time {
+                    min-width: 42px;
+                    font-variant-numeric: tabular-nums;
+                }
+
+                button {
+                    width: 26px;
+                    height: 26px;
+                    border: none;
+                    border-radius: 50%;
+                    background: rgba(255, 255, 255, 0.15);
+                    color: white;
+                    font-size: 11px;
+                    cursor: pointer;
+                }
+
+                button:hover {
+                    background: rgba(255, 255, 255, 0.3);
+                }
+
+                .stop {
+                    background: #dc2626;
+                }
+            </style>
+            <div class="bar">
+                <span class="indicator"></span>
+                <span class="time">0:00</span>
+                <button class="pause" title="Pause recording">❚❚</button>
+                <button class="stop" title="Stop recording">■</button>
+            </div>
+        `;
+
+        this.indicator = root.querySelector('.indicator');
+        this.timeLabel = root.querySelector('.time');
+        this.pauseButton = root.querySelector('.pause');
+
+        this.pauseButton.addEventListener('click', () => {
+            this.sendAction(this.isPaused ? 'RESUME_RECORDING' : 'PAUSE_RECORDING');
+        });
+
+        root.querySelector('.stop').addEventListener('click', () => {
+            this.sendAction('STOP_RECORDING');
+            this.remove();
+        });
+
+        document.documentElement.appendChild(this.host);
+    }
+
+    sendAction(action) {
+        chrome.runtime.sendMessage({ action })
+            .catch(error => console.error('Error sending control bar action:', error));
+    }
+
+    remove() {
+        clearTimeout(this.staleTimer);
+
+        if (this.host) {
+            this.host.remove();
+            this.host = null;
+        }
+    }
+
+    formatTime(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor(totalSeconds / 60) % 60;
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+            : `${minutes}:${seconds}`;
+    }
+}
+
+// Initialize control bar; the content scripts run in every frame, but only the page itself shows it
+const recordingControlBar = window === window.top ? new RecordingControlBar() : null;
@@ -1,19 +1,56 @@
+// Typed characters are grouped into one event until the typist pauses this long
+const KEYSTROKE_BURST_IDLE_MS = 800;
+const KEYSTROKE_REDACTED_CHAR = '•';
+const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta', 'CapsLock', 'AltGraph', 'Fn'];
+
+// Events reach the service worker in batches instead of one message per mousemove
+const CURSOR_BATCH_INTERVAL_MS = 250;
+const CURSOR_BATCH_MAX_EVENTS = 50;
+// Sent as the change from the previous event in the batch that had them
+const CURSOR_DELTA_FIELDS = ['x', 'y', 'screenX', 'screenY'];
+// Child frames can move without a scroll or resize here, e.g. when the layout around them shifts
+const FRAME_LAYOUT_INTERVAL_MS = 500;
+
 class CursorTracker {
     constructor() {
         this.isTracking = false;
+        this.isPaused = false;
         this.sessionId = null;
         this.settings = null;
         this.lastEvent = null;
         this.throttleDelay = 16; // ~60fps tracking
+        this.keyBurst = null;
+        this.keyBurstTimer = null;
+        this.regionScanner = null;
+        this.screenOffset = null;
+        this.batch = null;
+        this.batchPrevious = null;
+        this.batchTimer = null;
+        this.lastContextKey = null;
+        this.frameLayoutTimer = null;
+        this.lastFrameLayoutKey = null;
 
         this.init();
     }
 
     init() {
         this.bindEvents();
+        this.resumeSessionTracking();
         console.log('CursorFlow cursor tracker initialized');
     }
 
+    // Pages opened or navigated to mid-recording join the session without waiting to be told
+    async resumeSessionTracking() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'CURSOR_TRACKER_READY' });
+            if (response && response.tracking) {
+                this.startTracking(response.tracking);
+            }
+        } catch (error) {
+            // The service worker may be restarting; it starts tracking itself once the page loads
+        }
+    }
+
     bindEvents() {
         // Listen for messages from background script
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -21,9 +58,15 @@ class CursorTracker {
             return true;
         });
 
+        // The last batch would otherwise be lost with the page
+        window.addEventListener('pagehide', () => this.flushEvents());
+
         // Mouse event listeners
         this.throttledMouseMove = this.throttle(this.handleMouseMove.bind(this), this.throttleDelay);
         this.throttledMouseClick = this.throttle(this.handleMouseClick.bind(this), this.throttleDelay);
+        // Bound once so stopping really removes it; tab switches start and stop the same page repeatedly
+        this.boundScroll = this.handleScroll.bind(this);
+        this.boundKeyDown = this.handleKeyDown.bind(this);
     }
 
     handleMessage(message, sender, sendResponse) {
@@ -38,6 +81,18 @@ class CursorTracker {
                 sendResponse({ success: true });
                 break;
 
+            case 'PAUSE_CURSOR_TRACKING':
+                this.flushKeyBurst();
+                this.flushEvents();
+                this.setPaused(true);
+                sendResponse({ success: true });
+                break;
+
+            case 'RESUME_CURSOR_TRACKING':
+                this.setPaused(false);
+                sendResponse({ success: true });
+                break;
+
             default:
                 sendResponse({ success: false, error: 'Unknown action' });
         }
@@ -45,17 +100,35 @@ class CursorTracker {
 
     startTracking(data) {
         if (this.isTracking) {
+            this.setPaused(Boolean(data.paused));
             return;
         }
 
         this.isTracking = true;
+        this.isPaused = Boolean(data.paused);
         this.sessionId = data.sessionId;
         this.settings = data.settings;
+        // The service worker may not have this page's context, e.g. in a new recording
+        this.lastContextKey = null;
 
         // Add event listeners
         document.addEventListener('mousemove', this.throttledMouseMove, true);
         document.addEventListener('click', this.throttledMouseClick, true);
-        document.addEventListener('scroll', this.handleScroll.bind(this), true);
+        document.addEventListener('scroll', this.boundScroll, true);
+        if (this.settings && this.settings.keystrokes && this.settings.keystrokes.enabled) {
+            document.addEventListener('keydown', this.boundKeyDown, true);
+        }
+
+        // Every frame reports its own events; each one also says where its child frames sit
+        this.lastFrameLayoutKey = null;
+        this.reportFrameLayout();
+        this.frameLayoutTimer = setInterval(() => this.reportFrameLayout(), FRAME_LAYOUT_INTERVAL_MS);
+
+        // Sensitive regions keep being blurred live while paused; only reporting them stops
+        if (this.settings && this.settings.blur && this.settings.blur.enabled) {
+            this.regionScanner = new SensitiveRegionScanner(this.settings.blur, (regions, source) => this.sendRegions(regions, source));
+            this.regionScanner.start();
+        }
 
         console.log('Cursor tracking started for session:', this.sessionId);
     }
@@ -65,12 +138,24 @@ class CursorTracker {
             return;
         }
 
+        this.flushKeyBurst();
+
+        if (this.regionScanner) {
+            this.regionScanner.stop();
+            this.regionScanner = null;
+        }
+
+        clearInterval(this.frameLayoutTimer);
+        this.frameLayoutTimer = null;
+        this.flushEvents();
         this.isTracking = false;
+        this.isPaused = false;
 
         // Remove event listeners
         document.removeEventListener('mousemove', this.throttledMouseMove, true);
         document.removeEventListener('click', this.throttledMouseClick, true);
-        document.removeEventListener('scroll', this.handleScroll.bind(this), true);
+        document.removeEventListener('scroll', this.boundScroll, true);
+        document.removeEventListener('keydown', this.boundKeyDown, true);
 
         this.sessionId = null;
         this.settings = null;
@@ -78,25 +163,191 @@ class CursorTracker {
         console.log('Cursor tracking stopped');
     }
 
+    setPaused(paused) {
+        const resumed = this.isPaused && !paused;
+        this.isPaused = paused;
+
+        // Regions that didn't move while paused still need to be on record after it
+        if (resumed && this.regionScanner) {
+            this.regionScanner.resend();
+        }
+    }
+
     handleMouseMove(event) {
-        if (!this.isTracking) return;
+        if (!this.isTracking || this.isPaused) return;
+
+        // Where the viewport sits on screen, for placing regions in screen captures
+        this.screenOffset = { x: event.screenX - event.clientX, y: event.screenY - event.clientY };
 
         const eventData = this.createEventData('mousemove', event);
         this.sendEventToBackground(eventData);
     }
 
     handleMouseClick(event) {
-        if (!this.isTracking) return;
+        if (!this.isTracking || this.isPaused) return;
 
         const eventData = this.createEventData('click', event);
         this.sendEventToBackground(eventData);
     }
 
     handleScroll(event) {
-        if (!this.isTracking) return;
+        if (!this.isTracking || this.isPaused) return;
 
         const eventData = this.createEventData('scroll', event);
         this.sendEventToBackground(eventData);
+        this.reportFrameLayout();
+    }
+
+    // Shortcuts are sent as they happen; plain typing is grouped into bursts. Anything typed into a
+    // password, card or one-time code field, or an element matching the user's redaction selectors,
+    // never leaves the page
+    handleKeyDown(event) {
+        if (!this.isTracking || this.isPaused || event.isComposing || MODIFIER_KEYS.includes(event.key)) {
+            return;
+        }
+
+        const element = event.composedPath ? event.composedPath()[0] : event.target;
+        const redacted = this.isRedacted(element);
+        const isShortcut = event.ctrlKey || event.metaKey || event.altKey;
+
+        if (!isShortcut && event.key.length === 1) {
+            this.addToKeyBurst(redacted ? KEYSTROKE_REDACTED_CHAR : event.key, redacted);
+            return;
+        }
+
+        if (!isShortcut && event.key === 'Backspace' && this.keyBurst) {
+            this.keyBurst.text = this.keyBurst.text.slice(0, -1);
+            this.keyBurst.lastAt = this.now();
+            this.scheduleKeyBurstFlush();
+            return;
+        }
+
+        this.flushKeyBurst();
+
+        if (redacted) {
+            this.sendKeystroke({ kind: 'key', key: KEYSTROKE_REDACTED_CHAR, modifiers: [], redacted: true });
+            return;
+        }
+
+        const modifiers = [];
+        if (event.ctrlKey) modifiers.push('Control');
+        if (event.altKey) modifiers.push('Alt');
+        if (event.shiftKey) modifiers.push('Shift');
+        if (event.metaKey) modifiers.push('Meta');
+
+        this.sendKeystroke({
+            kind: isShortcut ? 'combo' : 'key',
+            key: event.key,
+            modifiers,
+            redacted: false
+        });
+    }
+
+    isRedacted(element) {
+        if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+            return false;
+        }
+
+        // Autocomplete hints mark card fields even inside payment frames that don't use password inputs
+        const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+        if (element.type === 'password' || autocomplete.some(token =>
+            token.includes('password') || token.startsWith('cc-') || token === 'one-time-code')) {
+            return true;
+        }
+
+        const selectors = ((this.settings.keystrokes || {}).redactSelectors || '')
+            .split(',')
+            .map(selector => selector.trim())
+            .filter(Boolean);
+
+        return selectors.some(selector => {
+            try {
+                return element.closest(selector) !== null;
+            } catch (error) {
+                // An invalid selector from settings just never matches
+                return false;
+            }
+        });
+    }
+
+    addToKeyBurst(char, redacted) {
+        const now = this.now();
+        if (!this.keyBurst) {
+            this.keyBurst = { text: '', startedAt: now, redacted: false };
+        }
+
+        this.keyBurst.text += char;
+        this.keyBurst.lastAt = now;
+        this.keyBurst.redacted = this.keyBurst.redacted || redacted;
+        this.scheduleKeyBurstFlush();
+    }
+
+    scheduleKeyBurstFlush() {
+        clearTimeout(this.keyBurstTimer);
+        this.keyBurstTimer = setTimeout(() => this.flushKeyBurst(), KEYSTROKE_BURST_IDLE_MS);
+    }
+
+    // The burst is stamped when typing started and lasts until the last key, not the idle wait after it
+    flushKeyBurst() {
+        clearTimeout(this.keyBurstTimer);
+        const burst = this.keyBurst;
+        this.keyBurst = null;
+
+        if (!burst || !burst.text || !this.isTracking || this.isPaused) {
+            return;
+        }
+
+        this.sendKeystroke({
+            kind: 'text',
+            text: burst.text,
+            duration: Math.round(burst.lastAt - burst.startedAt),
+            redacted: burst.redacted
+        }, burst.startedAt);
+    }
+
+    sendKeystroke(keystroke, timestamp = this.now()) {
+        this.sendEventToBackground({
+            type: 'keystroke',
+            ...keystroke,
+            timestamp,
+            url: window.location.href,
+            title: document.title
+        });
+    }
+
+    // A snapshot of every sensitive region in this document's viewport, replacing its previous one
+    sendRegions(regions, source) {
+        if (!this.isTracking || this.isPaused) {
+            return;
+        }
+
+        this.sendEventToBackground({
+            type: 'blur-regions',
+            source,
+            regions,
+            viewport: {
+                width: window.innerWidth,
+                height: window.innerHeight
+            },
+            display: this.getDisplayInfo(),
+            screenOffset: this.getScreenOffset(),
+            timestamp: this.now(),
+            url: window.location.href,
+            title: document.title
+        });
+    }
+
+    // Measured from the last pointer event when there is one; otherwise estimated from the window frame
+    getScreenOffset() {
+        if (this.screenOffset) {
+            return this.screenOffset;
+        }
+
+        const border = Math.max(0, (window.outerWidth - window.innerWidth) / 2);
+        return {
+            x: window.screenX + border,
+            y: window.screenY + Math.max(0, window.outerHeight - window.innerHeight - border)
+        };
     }
 
     createEventData(type, event) {
@@ -119,7 +370,8 @@ class CursorTracker {
                 x: window.scrollX,
                 y: window.scrollY
             },
-            timestamp: Date.now(),
+            display: this.getDisplayInfo(),
+            timestamp: this.now(),
             url: window.location.href,
             title: document.title
         };
@@ -143,15 +395,180 @@ class CursorTracker {
         return eventData;
     }
 
+    // Window and screen geometry needed to place page coordinates inside window or screen captures
+    getDisplayInfo() {
+        const origin = this.getScreenOrigin();
+        return {
+            devicePixelRatio: window.devicePixelRatio,
+            windowX: window.screenX,
+            windowY: window.screenY,
+            outerWidth: window.outerWidth,
+            outerHeight: window.outerHeight,
+            screenLeft: origin.left,
+            screenTop: origin.top,
+            screenWidth: screen.width,
+            screenHeight: screen.height
+        };
+    }
+
+    // Where the monitor itself starts; the avail* values leave out menu bars and taskbars, which a
+    // monitor capture still shows
+    getScreenOrigin() {
+        if (Number.isFinite(screen.left) && Number.isFinite(screen.top)) {
+            return { left: screen.left, top: screen.top };
+        }
+
+        // A single display sits at the origin; across several, the work area is the closest estimate left
+        if (!screen.isExtended) {
+            return { left: 0, top: 0 };
+        }
+        return { left: screen.availLeft || 0, top: screen.availTop || 0 };
+    }
+
+    // Frames of any origin talk to the service worker directly, never through the page that embeds them
     sendEventToBackground(eventData) {
-        try {
-            chrome.runtime.sendMessage({
-                action: 'CURSOR_EVENT',
-                data: eventData
+        this.queueEvent(eventData);
+    }
+
+    // Where this document's child frames sit in its viewport. Their own content scripts report their
+    // events in their coordinates, and the service worker places them with this
+    measureFrames() {
+        const frames = [];
+        if (typeof chrome.runtime.getFrameId !== 'function') {
+            return frames;
+        }
+
+        document.querySelectorAll('iframe, frame').forEach(frame => {
+            let frameId = -1;
+            try {
+                frameId = chrome.runtime.getFrameId(frame);
+            } catch (error) {
+                // Frames without a document yet have no id
+            }
+            if (!(frameId > 0)) {
+                return;
+            }
+
+            const rect = frame.getBoundingClientRect();
+            const style = getComputedStyle(frame);
+
+            // Transformed frames render scaled; offsetWidth is the untransformed size
+            const scaleX = frame.offsetWidth > 0 ? rect.width / frame.offsetWidth : 1;
+            const scaleY = frame.offsetHeight > 0 ? rect.height / frame.offsetHeight : 1;
+            const left = rect.left + (frame.clientLeft + (parseFloat(style.paddingLeft) || 0)) * scaleX;
+            const top = rect.top + (frame.clientTop + (parseFloat(style.paddingTop) || 0)) * scaleY;
+
+            frames.push({
+                frameId,
+                left: Math.round(left * 100) / 100,
+                top: Math.round(top * 100) / 100,
+                scaleX: Math.round(scaleX * 1000) / 1000,
+                scaleY: Math.round(scaleY * 1000) / 1000
             });
-        } catch (error) {
-            console.error('Error sending cursor event:', error);
+        });
+
+        return frames;
+    }
+
+    // Sent when it changes, and right away: events from the frames are placed with the latest layout
+    reportFrameLayout() {
+        if (!this.isTracking) {
+            return;
+        }
+
+        const frames = this.measureFrames();
+        const screenOffset = this.getScreenOffset();
+        const key = JSON.stringify([frames, screenOffset]);
+        if (key === this.lastFrameLayoutKey) {
+            return;
+        }
+
+        this.lastFrameLayoutKey = key;
+        this.sendEventToBackground({ type: 'frame-layout', frames, screenOffset, timestamp: this.now() });
+        this.flushEvents();
+    }
+
+    // Milliseconds since the epoch at sub-millisecond precision. This monotonic clock drifts from the
+    // wall clock, by seconds after the machine sleeps, so each batch says how far apart they are.
+    now() {
+        return performance.timeOrigin + performance.now();
+    }
+
+    // What every event on this page shares; it is only sent when it changes
+    getPageContext() {
+        return {
+            url: window.location.href,
+            title: document.title,
+            viewport: {
+                width: window.innerWidth,
+                height: window.innerHeight
+            },
+            display: this.getDisplayInfo()
+        };
+    }
+
+    queueEvent(eventData) {
+        // Context goes with the batch; page offsets and scroll are only kept where they are the point
+        const { url, title, viewport, display, pageX, pageY, scroll, timestamp, ...event } = eventData;
+        if (event.type === 'scroll') {
+            event.scroll = scroll;
+        }
+
+        const context = this.getPageContext();
+        const contextKey = JSON.stringify(context);
+        if (contextKey !== this.lastContextKey) {
+            // What is queued so far belongs to the old context
+            this.flushEvents();
+            this.lastContextKey = contextKey;
+            this.startBatch(timestamp, context);
+        } else if (!this.batch) {
+            this.startBatch(timestamp, null);
         }
+
+        const compact = { ...event, dt: Math.round((timestamp - this.batchPrevious.timestamp) * 100) / 100 };
+        // Advanced by the rounded step, so rounding never adds up over a batch
+        this.batchPrevious.timestamp += compact.dt;
+
+        CURSOR_DELTA_FIELDS.forEach(field => {
+            if (Number.isFinite(event[field])) {
+                compact[field] = event[field] - (this.batchPrevious[field] || 0);
+                this.batchPrevious[field] = event[field];
+            }
+        });
+
+        this.batch.events.push(compact);
+
+        if (this.batch.events.length >= CURSOR_BATCH_MAX_EVENTS) {
+            this.flushEvents();
+        } else if (this.batchTimer === null) {
+            this.batchTimer = setTimeout(() => this.flushEvents(), CURSOR_BATCH_INTERVAL_MS);
+        }
+    }
+
+    startBatch(origin, context) {
+        this.batch = { origin, events: [] };
+        if (context) {
+            this.batch.context = context;
+        }
+        this.batchPrevious = { timestamp: origin };
+    }
+
+    flushEvents() {
+        clearTimeout(this.batchTimer);
+        this.batchTimer = null;
+
+        const batch = this.batch;
+        this.batch = null;
+        if (!batch || batch.events.length === 0) {
+            return;
+        }
+
+        batch.clockOffset = Date.now() - this.now();
+        chrome.runtime.sendMessage({ action: 'CURSOR_EVENTS', data: batch }).catch(error => {
+            // The next batch restates the context in case this was the one carrying it
+            this.lastContextKey = null;
+            console.error('Error sending cursor events:', error);
+        });
     }
 
     throttle(func, delay) {
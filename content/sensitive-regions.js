@@ -0,0 +1,343 @@
+// Finds sensitive content on the page (site selectors, password fields, emails, card numbers) and
+// reports where it is on screen as it moves, optionally blurring it live for the capture
+const SENSITIVE_MEASURE_INTERVAL_MS = 500;
+const SENSITIVE_RESCAN_DELAY_MS = 300;
+const SENSITIVE_LIVE_BLUR_PX = 10;
+// Enough for a page full of customer rows without flooding the event stream
+const SENSITIVE_MAX_REGIONS = 200;
+
+const SENSITIVE_EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const SENSITIVE_CARD_PATTERN = /\b\d(?:[ -]?\d){12,18}\b/g;
+const SENSITIVE_SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA'];
+
+class SensitiveRegionScanner {
+    constructor(settings, onRegions) {
+        this.settings = settings || {};
+        this.onRegions = onRegions;
+        this.targets = [];
+        this.ids = new WeakMap();
+        this.nextId = 0;
+        this.lastKey = null;
+        this.observer = null;
+        this.measureTimer = null;
+        this.rescanTimer = null;
+        this.frameRequest = null;
+        this.host = null;
+        this.overlay = null;
+
+        // Identifies this document's snapshots; frames of one page each report their own
+        this.source = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+        this.boundSchedule = () => this.scheduleMeasure();
+        this.boundRescan = () => this.scheduleRescan();
+    }
+
+    start() {
+        this.rescan();
+
+        this.observer = new MutationObserver((mutations) => {
+            if (mutations.some(mutation => !this.isOwnMutation(mutation))) {
+                this.scheduleRescan();
+            }
+        });
+        this.observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+
+        window.addEventListener('scroll', this.boundSchedule, true);
+        window.addEventListener('resize', this.boundSchedule);
+        document.addEventListener('input', this.boundRescan, true);
+
+        // Layout can shift without scrolling, e.g. animations and lazy images
+        this.measureTimer = setInterval(() => this.measure(), SENSITIVE_MEASURE_INTERVAL_MS);
+    }
+
+    stop() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+
+        window.removeEventListener('scroll', this.boundSchedule, true);
+        window.removeEventListener('resize', this.boundSchedule);
+        document.removeEventListener('input', this.boundRescan, true);
+        clearInterval(this.measureTimer);
+        clearTimeout(this.rescanTimer);
+        this.rescanTimer = null;
+        cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = null;
+
+        if (this.host) {
+            this.host.remove();
+            this.host = null;
+            this.overlay = null;
+        }
+
+        // An empty snapshot ends this document's regions in the recording
+        if (this.lastKey !== null && this.lastKey !== '') {
+            this.onRegions([], this.source);
+        }
+        this.targets = [];
+        this.lastKey = null;
+    }
+
+    // The next measurement is reported even if nothing moved, e.g. after a pause
+    resend() {
+        this.lastKey = null;
+        this.measure();
+    }
+
+    // Throttled rather than debounced, so a page that never stops changing still gets rescanned
+    scheduleRescan() {
+        if (this.rescanTimer === null) {
+            this.rescanTimer = setTimeout(() => {
+                this.rescanTimer = null;
+                this.rescan();
+            }, SENSITIVE_RESCAN_DELAY_MS);
+        }
+    }
+
+    isOwnMutation(mutation) {
+        const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+        return nodes.length > 0 && nodes.every(node => node === this.host);
+    }
+
+    scheduleMeasure() {
+        if (this.frameRequest === null) {
+            this.frameRequest = requestAnimationFrame(() => {
+                this.frameRequest = null;
+                this.measure();
+            });
+        }
+    }
+
+    // Finding targets walks the DOM, so it only happens when the DOM changes; measuring them is cheap
+    rescan() {
+        const targets = [];
+
+        this.getSelectors().forEach(selector => {
+            try {
+                document.querySelectorAll(selector).forEach(element => targets.push({ kind: 'selector', element }));
+            } catch (error) {
+                // An invalid selector from settings just never matches
+            }
+        });
+
+        if (this.settings.passwords !== false) {
+            document.querySelectorAll('input[type="password"], input[autocomplete*="password"]')
+                .forEach(element => targets.push({ kind: 'password', element }));
+        }
+
+        if (this.settings.emails !== false || this.settings.cards !== false) {
+            this.scanFieldValues(targets);
+            this.scanText(targets);
+        }
+
+        this.targets = targets;
+        this.measure();
+    }
+
+    getSelectors() {
+        const siteSelectors = this.settings.siteSelectors || {};
+        return (siteSelectors[window.location.hostname] || '')
+            .split(',')
+            .map(selector => selector.trim())
+            .filter(Boolean);
+    }
+
+    scanFieldValues(targets) {
+        document.querySelectorAll('input, textarea').forEach(element => {
+            const kind = this.detectKind(element.value || '');
+            if (kind) {
+                targets.push({ kind, element });
+            }
+        });
+    }
+
+    scanText(targets) {
+        if (!document.body) {
+            return;
+        }
+
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => (node.parentElement && SENSITIVE_SKIPPED_TAGS.includes(node.parentElement.tagName)
+                ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+        });
+
+        let node;
+        while ((node = walker.nextNode())) {
+            const text = node.nodeValue;
+            if (text.length < 6) {
+                continue;
+            }
+
+            this.findMatches(text).forEach(match => {
+                const range = document.createRange();
+                range.setStart(node, match.start);
+                range.setEnd(node, match.end);
+                targets.push({ kind: match.kind, range, node, offset: match.start });
+            });
+        }
+    }
+
+    findMatches(text) {
+        const matches = [];
+
+        if (this.settings.emails !== false) {
+            for (const match of text.matchAll(SENSITIVE_EMAIL_PATTERN)) {
+                matches.push({ kind: 'email', start: match.index, end: match.index + match[0].length });
+            }
+        }
+
+        if (this.settings.cards !== false) {
+            for (const match of text.matchAll(SENSITIVE_CARD_PATTERN)) {
+                if (this.isCardNumber(match[0])) {
+                    matches.push({ kind: 'card', start: match.index, end: match.index + match[0].length });
+                }
+            }
+        }
+
+        return matches;
+    }
+
+    detectKind(value) {
+        if (this.settings.emails !== false && new RegExp(SENSITIVE_EMAIL_PATTERN.source).test(value)) {
+            return 'email';
+        }
+        if (this.settings.cards !== false) {
+            const card = value.match(new RegExp(SENSITIVE_CARD_PATTERN.source));
+            if (card && this.isCardNumber(card[0])) {
+                return 'card';
+            }
+        }
+        return null;
+    }
+
+    // Luhn check, so order numbers and phone numbers of the same length aren't blurred
+    isCardNumber(candidate) {
+        const digits = candidate.replace(/\D/g, '');
+        if (digits.length < 13 || digits.length > 19) {
+            return false;
+        }
+
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = parseInt(digits[digits.length - 1 - i], 10);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) {
+                    digit -= 9;
+                }
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+
+    // Stable across measurements, so the editor can follow one region over time
+    getTargetId(target) {
+        const owner = target.element || target.node;
+        let ids = this.ids.get(owner);
+        if (!ids) {
+            ids = {};
+            this.ids.set(owner, ids);
+        }
+
+        const key = target.element ? target.kind : `${target.kind}:${target.offset}`;
+        if (ids[key] === undefined) {
+            ids[key] = this.nextId++;
+        }
+        return `${this.source}:${ids[key]}`;
+    }
+
+    measure() {
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        const regions = [];
+
+        for (const target of this.targets) {
+            if (regions.length >= SENSITIVE_MAX_REGIONS) {
+                break;
+            }
+            if (target.element && !target.element.isConnected) {
+                continue;
+            }
+
+            const rects = target.range ? Array.from(target.range.getClientRects()) : [target.element.getBoundingClientRect()];
+            const id = this.getTargetId(target);
+
+            rects.forEach(rect => {
+                // Only what is inside the viewport can end up in the video
+                const left = Math.max(0, rect.left);
+                const top = Math.max(0, rect.top);
+                const right = Math.min(width, rect.right);
+                const bottom = Math.min(height, rect.bottom);
+
+                if (right - left >= 1 && bottom - top >= 1) {
+                    regions.push({
+                        id,
+                        kind: target.kind,
+                        x: Math.round(left),
+                        y: Math.round(top),
+                        width: Math.round(right - left),
+                        height: Math.round(bottom - top)
+                    });
+                }
+            });
+        }
+
+        if (this.settings.liveBlur) {
+            this.renderLiveBlur(regions);
+        }
+
+        const key = regions.map(region => `${region.id}@${region.x},${region.y},${region.width},${region.height}`).join('|');
+        if (key !== this.lastKey) {
+            this.lastKey = key;
+            this.onRegions(regions, this.source);
+        }
+    }
+
+    // Frosted boxes over each region; they are part of the page, so the capture itself is blurred
+    renderLiveBlur(regions) {
+        if (!this.host) {
+            this.host = document.createElement('div');
+            this.host.setAttribute('data-cursorflow-blur', '');
+            const root = this.host.attachShadow({ mode: 'closed' });
+            root.innerHTML = `
+                <style>
+                    .layer {
+                        position: fixed;
+                        inset: 0;
+                        z-index: 2147483646;
+                        pointer-events: none;
+                    }
+
+                    .region {
+                        position: absolute;
+                        backdrop-filter: blur(${SENSITIVE_LIVE_BLUR_PX}px);
+                        background: rgba(128, 128, 128, 0.2);
+                        border-radius: 3px;
+                    }
+                </style>
+                <div class="layer"></div>
+            `;
+            this.overlay = root.querySelector('.layer');
+            document.documentElement.appendChild(this.host);
+        }
+
+        while (this.overlay.children.length > regions.length) {
+            this.overlay.lastElementChild.remove();
+        }
+        while (this.overlay.children.length < regions.length) {
+            const box = document.createElement('div');
+            box.className = 'region';
+            this.overlay.appendChild(box);
+        }
+
+        regions.forEach((region, index) => {
+            const box = this.overlay.children[index];
+            box.style.left = `${region.x - 2}px`;
+            box.style.top = `${region.y - 2}px`;
+            box.style.width = `${region.width + 4}px`;
+            box.style.height = `${region.height + 4}px`;
+        });
+    }
+}
@@ -0,0 +1,148 @@
+// Renders a time range frame by frame (seeking, not playing) and encodes it as an animated GIF or WebP.
+// With an edit list the range is in edited (output) time
+const ANIMATION_FORMATS = {
+    gif: { label: 'GIF', mimeType: 'image/gif', extension: 'gif' },
+    webp: { label: 'WebP', mimeType: 'image/webp', extension: 'webp' }
+};
+
+// Long animations get huge quickly; anything longer should be a video
+const ANIMATION_MAX_DURATION_MS = 60000;
+
+class AnimationExporter {
+    constructor(options) {
+        this.sourceUrl = options.sourceUrl;
+        this.createRenderer = options.createRenderer;
+        this.format = ANIMATION_FORMATS[options.format] ? options.format : 'gif';
+        this.startMs = Math.max(0, options.startMs || 0);
+        this.endMs = options.endMs;
+        this.fps = options.fps || 15;
+        this.width = options.width || 0;
+        this.quality = options.quality || 'medium';
+        this.loop = options.loop !== false;
+        this.editList = options.editList || null;
+        this.onProgress = options.onProgress || (() => {});
+
+        this.cancelled = false;
+        this.video = null;
+        this.renderer = null;
+    }
+
+    async run() {
+        if (!(this.endMs > this.startMs)) {
+            throw new Error('The end of the range must be after its start');
+        }
+        if (this.endMs - this.startMs > ANIMATION_MAX_DURATION_MS) {
+            throw new Error(`Pick a range of ${ANIMATION_MAX_DURATION_MS / 1000} seconds or less`);
+        }
+
+        try {
+            this.video = HiddenVideo.create(this.sourceUrl, { muted: true });
+            await HiddenVideo.waitForEvent(this.video, 'loadeddata');
+
+            const sourceCanvas = document.createElement('canvas');
+            this.renderer = this.createRenderer(this.video, sourceCanvas);
+            await this.renderer.prepare();
+
+            const videoWidth = this.video.videoWidth;
+            const videoHeight = this.video.videoHeight;
+            const width = Math.min(videoWidth, this.width || videoWidth);
+            const height = Math.max(1, Math.round(width * videoHeight / videoWidth));
+
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            ctx.imageSmoothingQuality = 'high';
+
+            const EncoderClass = this.format === 'gif' ? GifEncoder : WebpAnimationEncoder;
+            const encoder = new EncoderClass({ width, height, loop: this.loop, quality: this.quality });
+
+            const availableMs = this.editList ? this.editList.outputDuration : this.video.duration * 1000;
+            const endMs = Math.min(this.endMs, availableMs || this.endMs);
+            const interval = 1000 / this.fps;
+            const frameCount = Math.max(1, Math.ceil((endMs - this.startMs) / interval));
+            let previous = null;
+
+            for (let i = 0; i < frameCount; i++) {
+                this.throwIfCancelled();
+
+                const outputTime = this.startMs + i * interval;
+                const time = this.editList ? this.editList.toSourceTime(outputTime) : outputTime;
+                await this.seek(time);
+                await this.renderer.settle(time);
+                this.renderer.renderFrame(time);
+                ctx.drawImage(sourceCanvas, 0, 0, width, height);
+
+                const imageData = ctx.getImageData(0, 0, width, height);
+                const delayMs = Math.round((i + 1) * interval) - Math.round(i * interval);
+
+                // Screen recordings sit still a lot; repeat frames just lengthen the one before
+                if (previous && this.isSameImage(previous, imageData)) {
+                    encoder.extendLastFrame(delayMs);
+                } else {
+                    await encoder.addFrame(canvas, imageData, delayMs);
+                    previous = imageData;
+                }
+
+                this.onProgress((i + 1) / frameCount);
+            }
+
+            this.throwIfCancelled();
+
+            const format = ANIMATION_FORMATS[this.format];
+            return {
+                blob: encoder.finish(),
+                mimeType: format.mimeType,
+                extension: format.extension,
+                width,
+                height
+            };
+        } finally {
+            this.cleanup();
+        }
+    }
+
+    seek(timeMs) {
+        const target = timeMs / 1000;
+        if (Math.abs(this.video.currentTime - target) < 0.001 && !this.video.seeking) {
+            return Promise.resolve();
+        }
+
+        const seeked = HiddenVideo.waitForEvent(this.video, 'seeked');
+        this.video.currentTime = target;
+        return seeked;
+    }
+
+    isSameImage(a, b) {
+        const first = new Uint32Array(a.data.buffer);
+        const second = new Uint32Array(b.data.buffer);
+        for (let i = 0; i < first.length; i++) {
+            if (first[i] !== second[i]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    throwIfCancelled() {
+        if (this.cancelled) {
+            throw new Error('Export cancelled');
+        }
+    }
+
+    cleanup() {
+        if (this.renderer) {
+            this.renderer.destroy();
+            this.renderer = null;
+        }
+
+        if (this.video) {
+            this.video.remove();
+            this.video = null;
+        }
+    }
+}
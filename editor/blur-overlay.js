@@ -0,0 +1,283 @@
+// Blurs or pixelates sensitive regions: the ones captured from the page over time, minus any the
+// user dismissed in review, plus regions drawn by hand for a stretch of the video
+const BLUR_DEFAULTS = {
+    enabled: true,
+    style: 'blur',
+    strength: 14,
+    hidden: [],
+    manual: []
+};
+
+const BLUR_STYLES = {
+    blur: 'Blur',
+    pixelate: 'Pixelate'
+};
+
+const BLUR_KIND_LABELS = {
+    selector: 'Site rule',
+    password: 'Password',
+    email: 'Email',
+    card: 'Card number'
+};
+
+const BLUR_MANUAL_LENGTH_MS = 3000;
+
+class BlurOverlay {
+    constructor(track, settings = {}) {
+        this.track = track;
+        this.settings = {
+            ...BLUR_DEFAULTS,
+            ...settings,
+            hidden: [...(settings.hidden || [])],
+            manual: (settings.manual || []).map(region => ({ ...region }))
+        };
+        this.detected = this.collectDetected();
+        this.scratch = document.createElement('canvas');
+        this.settingsElement = null;
+    }
+
+    get enabled() {
+        return this.settings.enabled && (this.detected.length > 0 || this.settings.manual.length > 0);
+    }
+
+    // One entry per captured region, with the span of time it was on screen
+    collectDetected() {
+        const regions = new Map();
+        const previous = new Map();
+
+        this.track.blurSnapshots.forEach(snapshot => {
+            // Whatever the source showed last time stayed on screen until this snapshot replaced it
+            (previous.get(snapshot.source) || []).forEach(id => {
+                regions.get(id).end = snapshot.time;
+            });
+
+            snapshot.regions.forEach(region => {
+                if (!regions.has(region.id)) {
+                    regions.set(region.id, { id: region.id, kind: region.kind, start: snapshot.time, end: snapshot.time });
+                }
+            });
+            previous.set(snapshot.source, snapshot.regions.map(region => region.id));
+        });
+
+        previous.forEach(ids => ids.forEach(id => {
+            regions.get(id).end = Math.max(regions.get(id).end, this.track.duration);
+        }));
+
+        return [...regions.values()].sort((a, b) => a.start - b.start);
+    }
+
+    draw(ctx, time, view) {
+        const hidden = new Set(this.settings.hidden);
+        const regions = this.track.regionsAt(time).filter(region => !hidden.has(region.id));
+        this.settings.manual.forEach(region => {
+            if (time >= region.start && time < region.end) {
+                regions.push(region);
+            }
+        });
+
+        regions.forEach(region => {
+            const rect = this.toCanvasRect(region, view);
+            if (rect) {
+                this.obscure(ctx, rect, view);
+            }
+        });
+    }
+
+    // Padded a little so antialiased glyph edges don't peek out
+    toCanvasRect(region, view) {
+        const topLeft = view.toCanvas({ x: region.x, y: region.y });
+        const bottomRight = view.toCanvas({ x: region.x + region.width, y: region.y + region.height });
+        const padding = 4 * view.camera.scale * view.height / 1080;
+
+        const x = Math.max(0, Math.floor(topLeft.x - padding));
+        const y = Math.max(0, Math.floor(topLeft.y - padding));
+        const right = Math.min(view.width, Math.ceil(bottomRight.x + padding));
+        const bottom = Math.min(view.height, Math.ceil(bottomRight.y + padding));
+
+        return right - x >= 1 && bottom - y >= 1 ? { x, y, width: right - x, height: bottom - y } : null;
+    }
+
+    obscure(ctx, rect, view) {
+        // Strength is authored against a 1080p frame and grows with the zoom like the content does
+        const strength = this.settings.strength * view.camera.scale * view.height / 1080;
+        const scratchCtx = this.scratch.getContext('2d');
+
+        if (this.settings.style === 'pixelate') {
+            const columns = Math.max(1, Math.round(rect.width / strength));
+            const rows = Math.max(1, Math.round(rect.height / strength));
+            this.scratch.width = columns;
+            this.scratch.height = rows;
+            scratchCtx.drawImage(ctx.canvas, rect.x, rect.y, rect.width, rect.height, 0, 0, columns, rows);
+
+            ctx.save();
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(this.scratch, 0, 0, columns, rows, rect.x, rect.y, rect.width, rect.height);
+            ctx.restore();
+            return;
+        }
+
+        // Blur a copy that includes some surroundings, so the edges blur into real pixels, then clip it back
+        const margin = Math.ceil(strength * 2);
+        const x = Math.max(0, rect.x - margin);
+        const y = Math.max(0, rect.y - margin);
+        const width = Math.min(view.width, rect.x + rect.width + margin) - x;
+        const height = Math.min(view.height, rect.y + rect.height + margin) - y;
+
+        this.scratch.width = width;
+        this.scratch.height = height;
+        scratchCtx.drawImage(ctx.canvas, x, y, width, height, 0, 0, width, height);
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(rect.x, rect.y, rect.width, rect.height);
+        ctx.clip();
+        ctx.filter = `blur(${strength}px)`;
+        ctx.drawImage(this.scratch, x, y);
+        ctx.restore();
+    }
+
+    addManualRegion(time) {
+        const start = Math.round(time);
+        const end = start + BLUR_MANUAL_LENGTH_MS;
+
+        // Starts as a box in the middle of the frame; the review row moves and resizes it
+        this.settings.manual.push({
+            start,
+            end: this.track.duration > start + MIN_KEPT_MS ? Math.min(end, Math.round(this.track.duration)) : end,
+            x: 0.35,
+            y: 0.4,
+            width: 0.3,
+            height: 0.2
+        });
+    }
+
+    setDetectedVisible(id, visible) {
+        this.settings.hidden = this.settings.hidden.filter(hiddenId => hiddenId !== id);
+        if (!visible) {
+            this.settings.hidden.push(id);
+        }
+    }
+
+    renderSettings(onChange, controls) {
+        const section = document.createElement('div');
+        section.className = 'effect-settings blur-settings';
+
+        const styleOptions = Object.entries(BLUR_STYLES)
+            .map(([value, label]) => `<option value="${value}" ${value === this.settings.style ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        section.innerHTML = `
+            <label class="effect-title">
+                <input type="checkbox" data-field="enabled" ${this.settings.enabled ? 'checked' : ''}>
+                🔒 Blur <span class="effect-hint">(${this.detected.length} detected)</span>
+            </label>
+            <label>Style <select data-field="style">${styleOptions}</select></label>
+            <label>Strength <input type="range" data-field="strength" min="4" max="40" step="1" value="${this.settings.strength}"></label>
+            <button class="player-button" data-action="add">➕ Blur Region Here</button>
+            <div class="blur-review" data-role="review"></div>
+        `;
+
+        section.querySelectorAll('[data-field]').forEach(input => {
+            input.addEventListener('change', () => {
+                const field = input.dataset.field;
+                if (input.type === 'checkbox') {
+                    this.settings[field] = input.checked;
+                } else if (input.type === 'range') {
+                    this.settings[field] = parseFloat(input.value);
+                } else {
+                    this.settings[field] = input.value;
+                }
+                onChange(this.settings);
+            });
+        });
+
+        section.querySelector('[data-action="add"]').addEventListener('click', () => {
+            this.addManualRegion(controls.getTime());
+            this.settings.enabled = true;
+            section.querySelector('[data-field="enabled"]').checked = true;
+            this.refreshSettings();
+            onChange(this.settings);
+        });
+
+        this.settingsElement = section;
+        this.settingsControls = { onChange, ...controls };
+        this.refreshSettings();
+
+        return section;
+    }
+
+    // Review list: detected regions can be switched off, manual ones retimed, moved or removed
+    refreshSettings() {
+        if (!this.settingsElement) {
+            return;
+        }
+
+        const { onChange, onSeek, getTime } = this.settingsControls;
+        const review = this.settingsElement.querySelector('[data-role="review"]');
+        const hidden = new Set(this.settings.hidden);
+        review.innerHTML = '';
+
+        this.detected.forEach(region => {
+            const row = document.createElement('div');
+            row.className = 'blur-row';
+            row.innerHTML = `
+                <label><input type="checkbox" ${hidden.has(region.id) ? '' : 'checked'}></label>
+                <span class="blur-time">${this.formatTime(region.start)}–${this.formatTime(region.end)}</span>
+                <button class="player-button" data-action="seek">Go</button>
+            `;
+            // The kind comes from page data, so it is only ever set as text
+            row.querySelector('label').append(` ${BLUR_KIND_LABELS[region.kind] || String(region.kind)}`);
+
+            row.querySelector('input').addEventListener('change', (event) => {
+                this.setDetectedVisible(region.id, event.target.checked);
+                onChange(this.settings);
+            });
+            row.querySelector('[data-action="seek"]').addEventListener('click', () => onSeek(region.start));
+            review.appendChild(row);
+        });
+
+        this.settings.manual.forEach((region, index) => {
+            const row = document.createElement('div');
+            row.className = 'blur-row';
+            row.innerHTML = `
+                <span>Manual</span>
+                <span class="blur-time">${this.formatTime(region.start)}–${this.formatTime(region.end)}</span>
+                <button class="player-button" data-action="start" title="Start at the playhead">⇤</button>
+                <button class="player-button" data-action="end" title="End at the playhead">⇥</button>
+                <label>X <input type="range" data-box="x" min="0" max="1" step="0.01" value="${region.x}"></label>
+                <label>Y <input type="range" data-box="y" min="0" max="1" step="0.01" value="${region.y}"></label>
+                <label>W <input type="range" data-box="width" min="0.02" max="1" step="0.01" value="${region.width}"></label>
+                <label>H <input type="range" data-box="height" min="0.02" max="1" step="0.01" value="${region.height}"></label>
+                <button class="player-button" data-action="remove" title="Remove region">🗑️</button>
+            `;
+
+            row.querySelector('[data-action="start"]').addEventListener('click', () => {
+                region.start = Math.min(Math.round(getTime()), region.end - MIN_KEPT_MS);
+                this.refreshSettings();
+                onChange(this.settings);
+            });
+            row.querySelector('[data-action="end"]').addEventListener('click', () => {
+                region.end = Math.max(Math.round(getTime()), region.start + MIN_KEPT_MS);
+                this.refreshSettings();
+                onChange(this.settings);
+            });
+            row.querySelectorAll('[data-box]').forEach(input => {
+                input.addEventListener('input', () => {
+                    region[input.dataset.box] = parseFloat(input.value);
+                    onChange(this.settings);
+                });
+            });
+            row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+                this.settings.manual.splice(index, 1);
+                this.refreshSettings();
+                onChange(this.settings);
+            });
+            review.appendChild(row);
+        });
+    }
+
+    formatTime(ms) {
+        const total = Math.floor(ms / 1000);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+}
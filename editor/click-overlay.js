@@ -0,0 +1,132 @@
+// Click visualizations drawn on top of the rendered frame
+const CLICK_EFFECT_DEFAULTS = {
+    enabled: true,
+    style: 'ripple',
+    color: '#facc15',
+    size: 40,
+    duration: 600
+};
+
+const CLICK_EFFECT_STYLES = {
+    ripple: 'Ripple',
+    ring: 'Ring',
+    spotlight: 'Spotlight'
+};
+
+class ClickOverlay {
+    constructor(track, settings = {}) {
+        this.track = track;
+        this.settings = { ...CLICK_EFFECT_DEFAULTS, ...settings };
+    }
+
+    get enabled() {
+        return this.settings.enabled && this.track.clicks.length > 0;
+    }
+
+    draw(ctx, time, view) {
+        const duration = this.settings.duration;
+        const active = this.track.clicks.filter(click => click.time <= time && time - click.time < duration);
+
+        active.forEach(click => {
+            const progress = (time - click.time) / duration;
+            const point = view.toCanvas(click);
+            // Sizes are authored against a 1080p frame
+            const radius = this.settings.size * view.height / 1080;
+
+            if (this.settings.style === 'ring') {
+                this.drawRing(ctx, point, radius, progress);
+            } else if (this.settings.style === 'spotlight') {
+                this.drawSpotlight(ctx, point, radius, progress, view);
+            } else {
+                this.drawRipple(ctx, point, radius, progress);
+            }
+        });
+    }
+
+    drawRipple(ctx, point, radius, progress) {
+        ctx.save();
+        ctx.globalAlpha = 1 - progress;
+        ctx.fillStyle = this.withAlpha(this.settings.color, 0.35);
+        ctx.strokeStyle = this.settings.color;
+        ctx.lineWidth = Math.max(2, radius / 10);
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, radius * (0.3 + progress), 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawRing(ctx, point, radius, progress) {
+        // Quick pop in, then hold and fade
+        const pop = Math.min(1, progress * 4);
+        ctx.save();
+        ctx.globalAlpha = progress < 0.5 ? 1 : 2 - progress * 2;
+        ctx.strokeStyle = this.settings.color;
+        ctx.lineWidth = Math.max(3, radius / 6);
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, radius * (0.6 + 0.4 * pop), 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawSpotlight(ctx, point, radius, progress, view) {
+        const strength = progress < 0.2 ? progress / 0.2 : 1 - (progress - 0.2) / 0.8;
+        const outer = radius * 2.5;
+
+        ctx.save();
+        const gradient = ctx.createRadialGradient(point.x, point.y, radius, point.x, point.y, outer);
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+        gradient.addColorStop(1, `rgba(0, 0, 0, ${0.55 * strength})`);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, view.width, view.height);
+
+        ctx.globalAlpha = strength;
+        ctx.strokeStyle = this.settings.color;
+        ctx.lineWidth = Math.max(2, radius / 12);
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    withAlpha(hex, alpha) {
+        const value = parseInt(hex.slice(1), 16);
+        return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+    }
+
+    renderSettings(onChange) {
+        const section = document.createElement('div');
+        section.className = 'effect-settings';
+
+        const styleOptions = Object.entries(CLICK_EFFECT_STYLES)
+            .map(([value, label]) => `<option value="${value}" ${value === this.settings.style ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        section.innerHTML = `
+            <label class="effect-title">
+                <input type="checkbox" data-field="enabled" ${this.settings.enabled ? 'checked' : ''}>
+                🖱️ Click Effects <span class="effect-hint">(${this.track.clicks.length} clicks)</span>
+            </label>
+            <label>Style <select data-field="style">${styleOptions}</select></label>
+            <label>Color <input type="color" data-field="color" value="${this.settings.color}"></label>
+            <label>Size <input type="range" data-field="size" min="15" max="120" value="${this.settings.size}"></label>
+            <label>Duration <input type="range" data-field="duration" min="200" max="2000" step="100" value="${this.settings.duration}"></label>
+        `;
+
+        section.querySelectorAll('[data-field]').forEach(input => {
+            input.addEventListener('change', () => {
+                const field = input.dataset.field;
+                if (input.type === 'checkbox') {
+                    this.settings[field] = input.checked;
+                } else if (input.type === 'range') {
+                    this.settings[field] = parseInt(input.value);
+                } else {
+                    this.settings[field] = input.value;
+                }
+                onChange(this.settings);
+            });
+        });
+
+        return section;
+    }
+}
@@ -0,0 +1,72 @@
+// Converts page-space cursor events into normalized coordinates of the captured video frame
+class CoordinateMapper {
+    constructor(capture) {
+        this.capture = capture || {};
+        // Recordings made before capture info was stored were always treated as tab captures
+        this.surface = this.capture.displaySurface || 'browser';
+    }
+
+    toVideo(event) {
+        // Events merged into a project were already placed on the project's frame
+        if (Number.isFinite(event.frameX) && Number.isFinite(event.frameY)) {
+            return { x: event.frameX, y: event.frameY, pixelScale: event.pixelScale || 0 };
+        }
+
+        const viewport = event.viewport || {};
+        if (!Number.isFinite(event.x) || !Number.isFinite(event.y) || !(viewport.width > 0) || !(viewport.height > 0)) {
+            return null;
+        }
+
+        const display = event.display;
+        let point;
+        let content;
+
+        if (this.surface === 'monitor' && display && Number.isFinite(event.screenX)) {
+            // Screen coordinates are in DIPs relative to the primary display origin
+            point = {
+                x: event.screenX - (display.screenLeft || 0),
+                y: event.screenY - (display.screenTop || 0)
+            };
+            content = { width: display.screenWidth, height: display.screenHeight };
+        } else if (this.surface === 'window' && display) {
+            // Window captures include the tab strip, toolbar and frame borders around the viewport
+            const border = Math.max(0, (display.outerWidth - viewport.width) / 2);
+            const chromeTop = Math.max(0, display.outerHeight - viewport.height - border);
+            point = { x: event.x + border, y: event.y + chromeTop };
+            content = { width: display.outerWidth, height: display.outerHeight };
+        } else {
+            point = { x: event.x, y: event.y };
+            content = { width: viewport.width, height: viewport.height };
+        }
+
+        if (!(content.width > 0) || !(content.height > 0)) {
+            return null;
+        }
+
+        return this.fitToFrame(point, content);
+    }
+
+    // Captured content is scaled uniformly into the frame and letterboxed if aspect ratios differ
+    fitToFrame(point, content) {
+        let fitWidth = 1;
+        let fitHeight = 1;
+
+        if (this.capture.width > 0 && this.capture.height > 0) {
+            const contentAspect = content.width / content.height;
+            const frameAspect = this.capture.width / this.capture.height;
+
+            if (contentAspect > frameAspect) {
+                fitHeight = frameAspect / contentAspect;
+            } else {
+                fitWidth = contentAspect / frameAspect;
+            }
+        }
+
+        return {
+            x: (1 - fitWidth) / 2 + point.x / content.width * fitWidth,
+            y: (1 - fitHeight) / 2 + point.y / content.height * fitHeight,
+            // Fraction of the frame height covered by one CSS pixel
+            pixelScale: fitHeight / content.height
+        };
+    }
+}
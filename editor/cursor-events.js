@@ -0,0 +1,199 @@
+// Normalized, time-ordered view over a recording's cursorEvents
+class CursorEventTrack {
+    constructor(recording) {
+        this.recording = recording;
+        this.mapper = new CoordinateMapper(recording.capture);
+        this.events = (recording.cursorEvents || [])
+            .map(event => this.normalizeEvent(this.expandEvent(event, recording.cursorContexts || [])))
+            .filter(event => event !== null)
+            .sort((a, b) => a.time - b.time);
+
+        // Only events carrying a pointer position can drive the camera
+        this.samples = this.events.filter(event => event.hasPosition);
+        this.clicks = this.events.filter(event => event.type === 'click' && event.hasPosition);
+        this.keystrokes = this.events.filter(event => event.type === 'keystroke');
+
+        // Sensitive-region snapshots, each rectangle in normalized frame coordinates
+        this.blurSnapshots = this.events
+            .filter(event => event.type === 'blur-regions')
+            .map(event => ({ time: event.time, source: event.raw.source, event, regions: this.mapRegions(event.raw) }));
+    }
+
+    // Page context is stored once per change and referenced by index; raw events get it back so they
+    // stand on their own when retimed or merged into another recording
+    expandEvent(event, contexts) {
+        if (event.context === undefined) {
+            return event;
+        }
+
+        const { context, ...rest } = event;
+        return { ...contexts[context], ...rest };
+    }
+
+    normalizeEvent(event) {
+        const time = this.getEventTime(event);
+        if (!Number.isFinite(time)) {
+            return null;
+        }
+
+        const point = this.mapper.toVideo(event);
+
+        return {
+            type: event.type,
+            time: time,
+            x: point ? this.clamp(point.x) : null,
+            y: point ? this.clamp(point.y) : null,
+            pixelScale: point ? point.pixelScale : null,
+            hasPosition: point !== null,
+            raw: event
+        };
+    }
+
+    getEventTime(event) {
+        // Recordings made before videoTime was stamped fall back to wall-clock offsets
+        if (typeof event.videoTime === 'number') {
+            return event.videoTime;
+        }
+        const videoStart = this.recording.videoStartTime || this.recording.timestamp;
+        return event.timestamp - videoStart;
+    }
+
+    get duration() {
+        const last = this.events[this.events.length - 1];
+        return Math.max(this.recording.duration || 0, last ? last.time : 0);
+    }
+
+    positionAt(time) {
+        const samples = this.samples;
+        if (samples.length === 0) {
+            return { x: 0.5, y: 0.5 };
+        }
+
+        const index = this.findIndex(samples, time);
+        if (index < 0) {
+            return { x: samples[0].x, y: samples[0].y };
+        }
+        if (index >= samples.length - 1) {
+            const last = samples[samples.length - 1];
+            return { x: last.x, y: last.y };
+        }
+
+        const a = samples[index];
+        const b = samples[index + 1];
+
+        // Another tab, page or project clip is a different stretch of screen; jump at the switch instead of gliding
+        if (!this.isSameSegment(a, b)) {
+            return { x: a.x, y: a.y };
+        }
+
+        const span = b.time - a.time;
+        const t = span > 0 ? (time - a.time) / span : 0;
+
+        return {
+            x: a.x + (b.x - a.x) * t,
+            y: a.y + (b.y - a.y) * t
+        };
+    }
+
+    mapRegions(raw) {
+        // Project events carry their regions already placed on the project frame
+        if (raw.frameRegions) {
+            return raw.frameRegions;
+        }
+
+        const offset = raw.screenOffset || { x: 0, y: 0 };
+        const corner = (x, y) => this.mapper.toVideo({
+            x,
+            y,
+            screenX: x + offset.x,
+            screenY: y + offset.y,
+            viewport: raw.viewport,
+            display: raw.display
+        });
+
+        return (raw.regions || [])
+            .map(region => {
+                const topLeft = corner(region.x, region.y);
+                const bottomRight = corner(region.x + region.width, region.y + region.height);
+                if (!topLeft || !bottomRight) {
+                    return null;
+                }
+                return {
+                    id: region.id,
+                    kind: region.kind,
+                    x: topLeft.x,
+                    y: topLeft.y,
+                    width: bottomRight.x - topLeft.x,
+                    height: bottomRight.y - topLeft.y
+                };
+            })
+            .filter(region => region !== null);
+    }
+
+    // Each document's latest snapshot, as long as the page it came from is still the one on screen
+    regionsAt(time) {
+        const index = this.findIndex(this.events, time);
+        if (index < 0 || this.blurSnapshots.length === 0) {
+            return [];
+        }
+
+        const current = this.events[index];
+        const latest = new Map();
+        for (const snapshot of this.blurSnapshots) {
+            if (snapshot.time > time) {
+                break;
+            }
+            latest.set(snapshot.source, snapshot);
+        }
+
+        const regions = [];
+        latest.forEach(snapshot => {
+            if (this.isSameSegment(snapshot.event, current)) {
+                regions.push(...snapshot.regions);
+            }
+        });
+        return regions;
+    }
+
+    isSameSegment(a, b) {
+        return a.raw.navigationId === b.raw.navigationId &&
+            a.raw.recordingId === b.raw.recordingId &&
+            a.raw.clipKey === b.raw.clipKey;
+    }
+
+    eventsBetween(start, end, type) {
+        return this.events.filter(event =>
+            event.time >= start && event.time <= end && (!type || event.type === type)
+        );
+    }
+
+    // Raw events as they line up with an edited video: removed ones dropped, the rest stamped in output time
+    retimeEvents(editList) {
+        return this.events
+            .filter(event => editList.contains(event.time))
+            .map(event => ({ ...event.raw, videoTime: Math.round(editList.toOutputTime(event.time)) }));
+    }
+
+    // Index of the last item whose time is <= the given time, or -1
+    findIndex(items, time) {
+        let low = 0;
+        let high = items.length - 1;
+        let result = -1;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (items[mid].time <= time) {
+                result = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return result;
+    }
+
+    clamp(value) {
+        return Math.min(1, Math.max(0, value));
+    }
+}
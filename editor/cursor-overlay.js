@@ -0,0 +1,216 @@
+// Synthetic cursor rendered from a spring-smoothed version of the recorded path
+const CURSOR_DEFAULTS = {
+    enabled: false,
+    hideOriginal: true,
+    smoothing: 0.5,
+    size: 1,
+    style: 'arrow'
+};
+
+const CURSOR_STYLES = {
+    arrow: 'Arrow',
+    arrowDark: 'Dark Arrow',
+    dot: 'Dot',
+    halo: 'Halo'
+};
+
+// Arrow outline in a 1080p reference frame, hotspot at the origin
+const CURSOR_ARROW_PATH = [
+    [0, 0], [0, 26], [6.5, 20], [11, 30], [15, 28.5], [10.5, 18.5], [19, 18.5]
+];
+
+const CURSOR_STEP_MS = 8;
+
+class SmoothCursorPath {
+    constructor(track, smoothing) {
+        this.track = track;
+        this.build(smoothing);
+    }
+
+    // Resample the raw path on a fixed grid, then run it through a critically damped spring
+    build(smoothing) {
+        const samples = this.track.samples;
+        this.start = samples.length > 0 ? samples[0].time : 0;
+        this.end = samples.length > 0 ? samples[samples.length - 1].time : 0;
+
+        const count = samples.length > 0 ? Math.floor((this.end - this.start) / CURSOR_STEP_MS) + 1 : 0;
+        this.xs = new Float32Array(count);
+        this.ys = new Float32Array(count);
+
+        if (count === 0) {
+            return;
+        }
+
+        const omega = 45 - 39 * Math.min(1, Math.max(0, smoothing));
+        const dt = CURSOR_STEP_MS / 1000;
+        let position = this.track.positionAt(this.start);
+        let velocity = { x: 0, y: 0 };
+
+        for (let i = 0; i < count; i++) {
+            const target = this.track.positionAt(this.start + i * CURSOR_STEP_MS);
+
+            // Semi-implicit Euler step of x'' = omega^2 (target - x) - 2 omega x'
+            velocity.x += (omega * omega * (target.x - position.x) - 2 * omega * velocity.x) * dt;
+            velocity.y += (omega * omega * (target.y - position.y) - 2 * omega * velocity.y) * dt;
+            position = {
+                x: position.x + velocity.x * dt,
+                y: position.y + velocity.y * dt
+            };
+
+            this.xs[i] = position.x;
+            this.ys[i] = position.y;
+        }
+    }
+
+    positionAt(time) {
+        if (this.xs.length === 0 || time < this.start) {
+            return null;
+        }
+
+        const offset = Math.min((time - this.start) / CURSOR_STEP_MS, this.xs.length - 1);
+        const index = Math.floor(offset);
+        const next = Math.min(index + 1, this.xs.length - 1);
+        const t = offset - index;
+
+        return {
+            x: this.xs[index] + (this.xs[next] - this.xs[index]) * t,
+            y: this.ys[index] + (this.ys[next] - this.ys[index]) * t
+        };
+    }
+}
+
+class CursorOverlay {
+    constructor(track, settings = {}) {
+        this.track = track;
+        this.settings = { ...CURSOR_DEFAULTS, ...settings };
+        this.path = new SmoothCursorPath(track, this.settings.smoothing);
+    }
+
+    get enabled() {
+        return this.settings.enabled && this.track.samples.length > 0;
+    }
+
+    draw(ctx, time, view) {
+        if (this.settings.hideOriginal) {
+            this.coverCapturedCursor(ctx, time, view);
+        }
+
+        const position = this.path.positionAt(time);
+        if (!position) {
+            return;
+        }
+
+        const point = view.toCanvas(position);
+        const scale = this.settings.size * view.camera.scale * view.height / 1080;
+
+        ctx.save();
+        ctx.translate(point.x, point.y);
+        ctx.scale(scale, scale);
+
+        if (this.settings.style === 'dot') {
+            this.drawDot(ctx);
+        } else if (this.settings.style === 'halo') {
+            this.drawHalo(ctx);
+        } else {
+            this.drawArrow(ctx, this.settings.style === 'arrowDark');
+        }
+
+        ctx.restore();
+    }
+
+    // Clone-stamp the pixels just left of the real cursor over it
+    coverCapturedCursor(ctx, time, view) {
+        const index = this.track.findIndex(this.track.samples, time);
+        const sample = this.track.samples[Math.max(0, index)];
+        const raw = this.track.positionAt(time);
+        if (!sample) {
+            return;
+        }
+
+        const pixelRatio = view.height * sample.pixelScale * view.camera.scale;
+        const width = 24 * pixelRatio;
+        const height = 34 * pixelRatio;
+        const point = view.toCanvas(raw);
+        const x = point.x - 3 * pixelRatio;
+        const y = point.y - 3 * pixelRatio;
+        const sourceX = x - width >= 0 ? x - width : x + width;
+
+        ctx.drawImage(ctx.canvas, sourceX, y, width, height, x, y, width, height);
+    }
+
+    drawArrow(ctx, dark) {
+        ctx.beginPath();
+        CURSOR_ARROW_PATH.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.closePath();
+
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.35)';
+        ctx.shadowBlur = 4;
+        ctx.shadowOffsetY = 1;
+        ctx.fillStyle = dark ? '#111827' : '#ffffff';
+        ctx.fill();
+
+        ctx.shadowColor = 'transparent';
+        ctx.lineJoin = 'round';
+        ctx.lineWidth = 1.5;
+        ctx.strokeStyle = dark ? '#ffffff' : '#111827';
+        ctx.stroke();
+    }
+
+    drawDot(ctx) {
+        ctx.beginPath();
+        ctx.arc(0, 0, 8, 0, Math.PI * 2);
+        ctx.fillStyle = '#111827';
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+    }
+
+    drawHalo(ctx) {
+        ctx.beginPath();
+        ctx.arc(0, 0, 22, 0, Math.PI * 2);
+        ctx.fillStyle = 'rgba(250, 204, 21, 0.35)';
+        ctx.fill();
+        this.drawArrow(ctx, false);
+    }
+
+    renderSettings(onChange) {
+        const section = document.createElement('div');
+        section.className = 'effect-settings';
+
+        const styleOptions = Object.entries(CURSOR_STYLES)
+            .map(([value, label]) => `<option value="${value}" ${value === this.settings.style ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        section.innerHTML = `
+            <label class="effect-title">
+                <input type="checkbox" data-field="enabled" ${this.settings.enabled ? 'checked' : ''}>
+                ➡️ Smooth Cursor
+            </label>
+            <label><input type="checkbox" data-field="hideOriginal" ${this.settings.hideOriginal ? 'checked' : ''}> Hide original</label>
+            <label>Style <select data-field="style">${styleOptions}</select></label>
+            <label>Smoothing <input type="range" data-field="smoothing" min="0" max="1" step="0.05" value="${this.settings.smoothing}"></label>
+            <label>Size <input type="range" data-field="size" min="0.5" max="3" step="0.1" value="${this.settings.size}"></label>
+        `;
+
+        section.querySelectorAll('[data-field]').forEach(input => {
+            input.addEventListener('change', () => {
+                const field = input.dataset.field;
+                if (input.type === 'checkbox') {
+                    this.settings[field] = input.checked;
+                } else if (input.type === 'range') {
+                    this.settings[field] = parseFloat(input.value);
+                } else {
+                    this.settings[field] = input.value;
+                }
+
+                if (field === 'smoothing') {
+                    this.path = new SmoothCursorPath(this.track, this.settings.smoothing);
+                }
+                onChange(this.settings);
+            });
+        });
+
+        return section;
+    }
+}
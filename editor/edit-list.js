@@ -0,0 +1,163 @@
+// Non-destructive trim and cuts, all in source milliseconds. The video itself is never modified;
+// playback and export skip what the list removes, and "output time" is the edited timeline
+const MIN_KEPT_MS = 100;
+
+class EditList {
+    constructor(durationMs, edits = {}) {
+        this.duration = durationMs || 0;
+        const trim = edits.trim || {};
+        this.trim = {
+            start: trim.start || 0,
+            // null means "to the end", so the trim survives the duration becoming known later
+            end: typeof trim.end === 'number' ? trim.end : null
+        };
+        this.cuts = (edits.cuts || []).map(cut => ({ start: cut.start, end: cut.end }));
+        this.normalize();
+    }
+
+    setDuration(durationMs) {
+        if (durationMs > 0) {
+            this.duration = durationMs;
+            this.normalize();
+        }
+    }
+
+    get trimStart() {
+        return Math.min(this.trim.start, this.duration);
+    }
+
+    get trimEnd() {
+        return this.trim.end === null ? this.duration : Math.min(this.trim.end, this.duration);
+    }
+
+    get isEmpty() {
+        return this.trimStart <= 0 && this.trimEnd >= this.duration && this.cuts.length === 0;
+    }
+
+    setTrim(start, end) {
+        const clampedStart = Math.max(0, Math.min(start, this.duration - MIN_KEPT_MS));
+        const clampedEnd = Math.max(clampedStart + MIN_KEPT_MS, Math.min(end, this.duration));
+        this.trim = {
+            start: Math.round(clampedStart),
+            end: clampedEnd >= this.duration ? null : Math.round(clampedEnd)
+        };
+        this.normalize();
+    }
+
+    addCut(start, end) {
+        this.cuts.push({ start: Math.round(start), end: Math.round(end) });
+        this.normalize();
+    }
+
+    updateCut(index, start, end) {
+        if (this.cuts[index]) {
+            this.cuts[index] = { start: Math.round(start), end: Math.round(end) };
+            this.normalize();
+        }
+    }
+
+    removeCut(index) {
+        this.cuts.splice(index, 1);
+    }
+
+    reset() {
+        this.trim = { start: 0, end: null };
+        this.cuts = [];
+    }
+
+    // Sorted, non-overlapping cuts inside the recording
+    normalize() {
+        const sorted = this.cuts
+            .map(cut => ({
+                start: Math.max(0, Math.min(cut.start, cut.end)),
+                end: Math.min(this.duration || Infinity, Math.max(cut.start, cut.end))
+            }))
+            .filter(cut => cut.end - cut.start > 0)
+            .sort((a, b) => a.start - b.start);
+
+        this.cuts = [];
+        sorted.forEach(cut => {
+            const last = this.cuts[this.cuts.length - 1];
+            if (last && cut.start <= last.end) {
+                last.end = Math.max(last.end, cut.end);
+            } else {
+                this.cuts.push(cut);
+            }
+        });
+    }
+
+    // The parts of the source that survive, in order
+    getKeptRanges() {
+        const ranges = [];
+        let start = this.trimStart;
+        const end = this.trimEnd;
+
+        this.cuts.forEach(cut => {
+            if (cut.end <= start || cut.start >= end) {
+                return;
+            }
+            if (cut.start > start) {
+                ranges.push({ start, end: cut.start });
+            }
+            start = Math.max(start, cut.end);
+        });
+
+        if (end > start) {
+            ranges.push({ start, end });
+        }
+
+        return ranges;
+    }
+
+    get outputDuration() {
+        return this.getKeptRanges().reduce((sum, range) => sum + range.end - range.start, 0);
+    }
+
+    contains(sourceMs) {
+        return this.getKeptRanges().some(range => sourceMs >= range.start && sourceMs < range.end);
+    }
+
+    // Removed times collapse onto the start of whatever is kept next
+    toOutputTime(sourceMs) {
+        let output = 0;
+        for (const range of this.getKeptRanges()) {
+            if (sourceMs < range.end) {
+                return output + Math.max(0, sourceMs - range.start);
+            }
+            output += range.end - range.start;
+        }
+        return output;
+    }
+
+    toSourceTime(outputMs) {
+        const ranges = this.getKeptRanges();
+        let remaining = Math.max(0, outputMs);
+
+        for (const range of ranges) {
+            const length = range.end - range.start;
+            if (remaining < length) {
+                return range.start + remaining;
+            }
+            remaining -= length;
+        }
+
+        return ranges.length > 0 ? ranges[ranges.length - 1].end : this.trimStart;
+    }
+
+    // Where playback should be for this source time: itself if kept, else the next kept range, or null at the end
+    nextKeptTime(sourceMs) {
+        for (const range of this.getKeptRanges()) {
+            if (sourceMs < range.end) {
+                return Math.max(sourceMs, range.start);
+            }
+        }
+        return null;
+    }
+
+    toJSON() {
+        return {
+            trim: { ...this.trim },
+            cuts: this.cuts.map(cut => ({ ...cut }))
+        };
+    }
+}
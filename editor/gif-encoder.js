@@ -0,0 +1,278 @@
+// Animated GIF encoder: median-cut palette per frame and LZW-compressed image data
+const GIF_QUALITY_PRESETS = {
+    low: { colors: 64, sampleStep: 8 },
+    medium: { colors: 128, sampleStep: 4 },
+    high: { colors: 256, sampleStep: 1 }
+};
+
+// Browsers slow down frames shorter than this (in hundredths of a second)
+const GIF_MIN_DELAY_CS = 2;
+
+class GifEncoder {
+    constructor({ width, height, loop = true, quality = 'medium' }) {
+        this.width = width;
+        this.height = height;
+        this.preset = GIF_QUALITY_PRESETS[quality] || GIF_QUALITY_PRESETS.medium;
+        this.parts = [];
+        this.pending = null;
+        this.elapsedMs = 0;
+        this.writtenCs = 0;
+
+        this.writeHeader(loop);
+    }
+
+    // Frames are held back by one so a run of identical frames can become a single longer one
+    addFrame(canvas, imageData, delayMs) {
+        this.flushPending();
+        this.pending = { imageData, delayMs };
+    }
+
+    extendLastFrame(delayMs) {
+        if (this.pending) {
+            this.pending.delayMs += delayMs;
+        }
+    }
+
+    finish() {
+        this.flushPending();
+        this.parts.push(new Uint8Array([0x3B]));
+        return new Blob(this.parts, { type: 'image/gif' });
+    }
+
+    flushPending() {
+        if (!this.pending) {
+            return;
+        }
+
+        const { imageData, delayMs } = this.pending;
+        this.pending = null;
+
+        // Delays are whole hundredths, so carry the rounding over instead of drifting
+        this.elapsedMs += delayMs;
+        const delayCs = Math.max(GIF_MIN_DELAY_CS, Math.round(this.elapsedMs / 10) - this.writtenCs);
+        this.writtenCs += delayCs;
+
+        this.writeFrame(imageData.data, delayCs);
+    }
+
+    writeHeader(loop) {
+        const header = [
+            ...this.ascii('GIF89a'),
+            ...this.u16(this.width),
+            ...this.u16(this.height),
+            0x00, // No global color table; every frame brings its own
+            0x00,
+            0x00
+        ];
+
+        if (loop) {
+            // NETSCAPE2.0 extension with a loop count of 0 repeats forever
+            header.push(0x21, 0xFF, 0x0B, ...this.ascii('NETSCAPE2.0'), 0x03, 0x01, 0x00, 0x00, 0x00);
+        }
+
+        this.parts.push(new Uint8Array(header));
+    }
+
+    writeFrame(pixels, delayCs) {
+        const palette = this.buildPalette(pixels);
+        const indices = this.mapPixels(pixels, palette);
+
+        // Table sizes are powers of two, at least 4 entries for the LZW minimum code size
+        const bits = Math.max(2, Math.ceil(Math.log2(palette.length)));
+        const table = new Uint8Array(3 << bits);
+        palette.forEach((color, index) => table.set(color, index * 3));
+
+        this.parts.push(new Uint8Array([
+            0x21, 0xF9, 0x04, 0x00, ...this.u16(delayCs), 0x00, 0x00,
+            0x2C, 0x00, 0x00, 0x00, 0x00, ...this.u16(this.width), ...this.u16(this.height),
+            0x80 | (bits - 1)
+        ]));
+        this.parts.push(table);
+        this.parts.push(new Uint8Array([bits]));
+        this.parts.push(this.toSubBlocks(this.encodeLzw(indices, bits)));
+    }
+
+    // Median cut over a sample of the frame's pixels
+    buildPalette(pixels) {
+        const pixelCount = pixels.length / 4;
+        const step = this.preset.sampleStep;
+        const samples = new Uint32Array(Math.ceil(pixelCount / step));
+        for (let i = 0, n = 0; i < pixelCount; i += step, n++) {
+            const offset = i * 4;
+            samples[n] = (pixels[offset] << 16) | (pixels[offset + 1] << 8) | pixels[offset + 2];
+        }
+
+        let boxes = [this.describeBox(samples)];
+        while (boxes.length < this.preset.colors) {
+            let target = -1;
+            let largest = 0;
+            boxes.forEach((box, index) => {
+                const score = box.range * box.colors.length;
+                if (box.colors.length > 1 && box.range > 0 && score > largest) {
+                    largest = score;
+                    target = index;
+                }
+            });
+
+            if (target === -1) {
+                break;
+            }
+
+            const box = boxes[target];
+            const shift = box.shift;
+            box.colors.sort((a, b) => ((a >> shift) & 0xFF) - ((b >> shift) & 0xFF));
+            const middle = box.colors.length >> 1;
+
+            boxes.splice(
+                target,
+                1,
+                this.describeBox(box.colors.subarray(0, middle)),
+                this.describeBox(box.colors.subarray(middle))
+            );
+        }
+
+        return boxes.map(box => this.averageColor(box.colors));
+    }
+
+    // Records which channel spans the widest range, which is the one to split on
+    describeBox(colors) {
+        const min = [255, 255, 255];
+        const max = [0, 0, 0];
+
+        colors.forEach(color => {
+            for (let channel = 0; channel < 3; channel++) {
+                const value = (color >> (16 - channel * 8)) & 0xFF;
+                min[channel] = Math.min(min[channel], value);
+                max[channel] = Math.max(max[channel], value);
+            }
+        });
+
+        const ranges = max.map((value, channel) => value - min[channel]);
+        const channel = ranges.indexOf(Math.max(...ranges));
+
+        return { colors, range: ranges[channel], shift: 16 - channel * 8 };
+    }
+
+    averageColor(colors) {
+        const sum = [0, 0, 0];
+        colors.forEach(color => {
+            sum[0] += (color >> 16) & 0xFF;
+            sum[1] += (color >> 8) & 0xFF;
+            sum[2] += color & 0xFF;
+        });
+        return sum.map(value => Math.round(value / Math.max(1, colors.length)));
+    }
+
+    // Nearest palette entry, cached per 15-bit color
+    mapPixels(pixels, palette) {
+        const cache = new Int16Array(32768).fill(-1);
+        const indices = new Uint8Array(pixels.length / 4);
+
+        for (let i = 0; i < indices.length; i++) {
+            const offset = i * 4;
+            const r = pixels[offset];
+            const g = pixels[offset + 1];
+            const b = pixels[offset + 2];
+            const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+            let index = cache[key];
+            if (index === -1) {
+                let best = Infinity;
+                palette.forEach((color, candidate) => {
+                    const distance = (color[0] - r) ** 2 + (color[1] - g) ** 2 + (color[2] - b) ** 2;
+                    if (distance < best) {
+                        best = distance;
+                        index = candidate;
+                    }
+                });
+                cache[key] = index;
+            }
+            indices[i] = index;
+        }
+
+        return indices;
+    }
+
+    encodeLzw(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const table = new Map();
+        const output = [];
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let buffer = 0;
+        let bufferBits = 0;
+
+        const write = (code) => {
+            buffer |= code << bufferBits;
+            bufferBits += codeSize;
+            while (bufferBits >= 8) {
+                output.push(buffer & 0xFF);
+                buffer >>>= 8;
+                bufferBits -= 8;
+            }
+        };
+
+        write(clearCode);
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const pixel = indices[i];
+            const key = (prefix << 8) | pixel;
+            const code = table.get(key);
+
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            write(prefix);
+
+            if (nextCode === 4096) {
+                write(clearCode);
+                table.clear();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= 1 << codeSize) {
+                    codeSize++;
+                }
+                table.set(key, nextCode++);
+            }
+
+            prefix = pixel;
+        }
+
+        write(prefix);
+        write(endCode);
+        if (bufferBits > 0) {
+            output.push(buffer & 0xFF);
+        }
+
+        return new Uint8Array(output);
+    }
+
+    toSubBlocks(data) {
+        const blockCount = Math.ceil(data.length / 255);
+        const result = new Uint8Array(data.length + blockCount + 1);
+        let offset = 0;
+
+        for (let start = 0; start < data.length; start += 255) {
+            const block = data.subarray(start, start + 255);
+            result[offset++] = block.length;
+            result.set(block, offset);
+            offset += block.length;
+        }
+
+        result[offset] = 0x00;
+        return result;
+    }
+
+    ascii(text) {
+        return Array.from(text, char => char.charCodeAt(0));
+    }
+
+    u16(value) {
+        return [value & 0xFF, (value >> 8) & 0xFF];
+    }
+}
@@ -0,0 +1,27 @@
+// Off-screen video elements the exporters play or seek through
+class HiddenVideo {
+    static create(src, { muted = false } = {}) {
+        const video = document.createElement('video');
+        video.src = src;
+        video.muted = muted;
+        video.playsInline = true;
+        video.preload = 'auto';
+
+        // Frame callbacks are only reliable for attached elements, so keep it in the DOM but invisible
+        video.style.position = 'fixed';
+        video.style.width = '1px';
+        video.style.height = '1px';
+        video.style.opacity = '0';
+        video.style.pointerEvents = 'none';
+        document.body.appendChild(video);
+
+        return video;
+    }
+
+    static waitForEvent(target, eventName) {
+        return new Promise((resolve, reject) => {
+            target.addEventListener(eventName, resolve, { once: true });
+            target.addEventListener('error', () => reject(new Error('Failed to load video for export')), { once: true });
+        });
+    }
+}
@@ -0,0 +1,169 @@
+// On-screen keys: shortcuts as key combos and typed text as it was typed, pinned to the frame, not the zoom
+const KEYSTROKE_DEFAULTS = {
+    enabled: true,
+    showTyping: true,
+    position: 'bottom',
+    size: 1,
+    hold: 1500
+};
+
+const KEYSTROKE_POSITIONS = {
+    bottom: 'Bottom',
+    top: 'Top'
+};
+
+const KEYSTROKE_MODIFIER_LABELS = {
+    Control: 'Ctrl',
+    Alt: 'Alt',
+    Shift: 'Shift',
+    Meta: '⌘'
+};
+
+const KEYSTROKE_KEY_LABELS = {
+    ' ': 'Space',
+    Enter: '⏎ Enter',
+    Escape: 'Esc',
+    Backspace: '⌫',
+    Delete: 'Del',
+    Tab: 'Tab ⇥',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓'
+};
+
+// Long bursts keep their most recent characters
+const KEYSTROKE_MAX_TEXT = 40;
+const KEYSTROKE_MAX_VISIBLE = 3;
+const KEYSTROKE_FADE_MS = 300;
+
+class KeystrokeOverlay {
+    constructor(track, settings = {}) {
+        this.track = track;
+        this.settings = { ...KEYSTROKE_DEFAULTS, ...settings };
+    }
+
+    get enabled() {
+        return this.settings.enabled && this.track.keystrokes.length > 0;
+    }
+
+    draw(ctx, time, view) {
+        const items = this.getVisibleItems(time);
+        if (items.length === 0) {
+            return;
+        }
+
+        // Sizes are authored against a 1080p frame
+        const fontSize = 28 * this.settings.size * view.height / 1080;
+        const paddingX = fontSize * 0.7;
+        const paddingY = fontSize * 0.45;
+        const height = fontSize + paddingY * 2;
+        const gap = fontSize * 0.4;
+        const margin = view.height * 0.06;
+
+        ctx.save();
+        ctx.font = `600 ${fontSize}px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        // Newest sits closest to the edge, older ones stack away from it
+        items.slice().reverse().forEach((item, index) => {
+            const width = ctx.measureText(item.label).width + paddingX * 2;
+            const offset = margin + index * (height + gap);
+            const y = this.settings.position === 'top' ? offset : view.height - offset - height;
+            const x = (view.width - width) / 2;
+
+            ctx.globalAlpha = item.alpha;
+            ctx.fillStyle = 'rgba(17, 24, 39, 0.85)';
+            ctx.beginPath();
+            ctx.roundRect(x, y, width, height, height * 0.3);
+            ctx.fill();
+
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(item.label, view.width / 2, y + height / 2);
+        });
+
+        ctx.restore();
+    }
+
+    getVisibleItems(time) {
+        const hold = this.settings.hold;
+        const items = [];
+
+        this.track.keystrokes.forEach(event => {
+            const raw = event.raw;
+            const isText = raw.kind === 'text';
+            if (isText && !this.settings.showTyping) {
+                return;
+            }
+
+            // A burst is stamped when typing started and stays up for its duration before the hold
+            const start = event.time;
+            const end = event.time + (isText ? raw.duration || 0 : 0) + hold;
+            if (time < start || time >= end) {
+                return;
+            }
+
+            const label = isText ? this.formatTyping(raw, time - start) : this.formatKeys(raw);
+            if (label) {
+                items.push({ label, alpha: Math.min(1, (end - time) / KEYSTROKE_FADE_MS) });
+            }
+        });
+
+        return items.slice(-KEYSTROKE_MAX_VISIBLE);
+    }
+
+    // Characters appear at the pace they were typed, spread evenly over the burst
+    formatTyping(raw, elapsed) {
+        const text = raw.text || '';
+        const duration = raw.duration || 0;
+        const count = duration > 0 ? Math.ceil(text.length * Math.min(1, elapsed / duration)) : text.length;
+        const typed = text.slice(0, Math.max(1, count));
+
+        return typed.length > KEYSTROKE_MAX_TEXT ? `…${typed.slice(-KEYSTROKE_MAX_TEXT)}` : typed;
+    }
+
+    formatKeys(raw) {
+        const modifiers = (raw.modifiers || []).map(modifier => KEYSTROKE_MODIFIER_LABELS[modifier] || modifier);
+        const key = raw.key || '';
+        const label = KEYSTROKE_KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+
+        return [...modifiers, label].join(' + ');
+    }
+
+    renderSettings(onChange) {
+        const section = document.createElement('div');
+        section.className = 'effect-settings';
+
+        const positionOptions = Object.entries(KEYSTROKE_POSITIONS)
+            .map(([value, label]) => `<option value="${value}" ${value === this.settings.position ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        section.innerHTML = `
+            <label class="effect-title">
+                <input type="checkbox" data-field="enabled" ${this.settings.enabled ? 'checked' : ''}>
+                ⌨️ Keystrokes <span class="effect-hint">(${this.track.keystrokes.length} captured)</span>
+            </label>
+            <label><input type="checkbox" data-field="showTyping" ${this.settings.showTyping ? 'checked' : ''}> Show typed text</label>
+            <label>Position <select data-field="position">${positionOptions}</select></label>
+            <label>Size <input type="range" data-field="size" min="0.5" max="2.5" step="0.1" value="${this.settings.size}"></label>
+            <label>Hold <input type="range" data-field="hold" min="500" max="4000" step="100" value="${this.settings.hold}"></label>
+        `;
+
+        section.querySelectorAll('[data-field]').forEach(input => {
+            input.addEventListener('change', () => {
+                const field = input.dataset.field;
+                if (input.type === 'checkbox') {
+                    this.settings[field] = input.checked;
+                } else if (input.type === 'range') {
+                    this.settings[field] = parseFloat(input.value);
+                } else {
+                    this.settings[field] = input.value;
+                }
+                onChange(this.settings);
+            });
+        });
+
+        return section;
+    }
+}
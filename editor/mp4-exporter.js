@@ -0,0 +1,394 @@
+// Turns a WebM/Matroska recording into an MP4 without leaving the browser.
+// H.264 video is copied as-is; VP8/VP9/AV1 is re-encoded to H.264 with WebCodecs
+const MP4_DECODER_CODECS = {
+    V_VP8: 'vp8',
+    V_VP9: 'vp09.00.10.08',
+    V_AV1: 'av01.0.08M.08'
+};
+
+// High, Main and Baseline at decreasing levels; the first one the encoder accepts for the size wins
+const MP4_ENCODER_CODECS = ['avc1.640034', 'avc1.640028', 'avc1.4D0028', 'avc1.42E01F'];
+
+const MP4_KEYFRAME_INTERVAL_US = 2000000;
+const MP4_MAX_QUEUE = 8;
+const MP4_AAC_BITRATE = 128000;
+
+// Opus frame lengths in microseconds by TOC config: SILK, hybrid, then CELT (RFC 6716, section 3.1)
+const OPUS_FRAME_US = [
+    10000, 20000, 40000, 60000, 10000, 20000, 40000, 60000, 10000, 20000, 40000, 60000,
+    10000, 20000, 10000, 20000,
+    2500, 5000, 10000, 20000, 2500, 5000, 10000, 20000, 2500, 5000, 10000, 20000, 2500, 5000, 10000, 20000
+];
+
+class Mp4Exporter {
+    constructor({ onProgress = null } = {}) {
+        this.onProgress = onProgress;
+        this.cancelled = false;
+    }
+
+    static isSupported() {
+        return typeof VideoEncoder !== 'undefined' && typeof VideoDecoder !== 'undefined';
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    async convert(blob, { videoBitsPerSecond = 8000000 } = {}) {
+        if (blob.type.startsWith('video/mp4')) {
+            return blob;
+        }
+
+        const { tracks } = await new WebmDemuxer().parse(blob);
+        const video = tracks.find(track => track.type === 'video');
+        const audio = tracks.find(track => track.type === 'audio');
+
+        if (!video || video.frames.length === 0) {
+            throw new Error('The recording has no video to convert');
+        }
+
+        this.totalFrames = video.frames.length + (audio ? audio.frames.length : 0);
+        this.doneFrames = 0;
+
+        const muxer = new Mp4Muxer();
+
+        if (video.codecId === 'V_MPEG4/ISO/AVC') {
+            this.remuxAvc(video, muxer);
+        } else {
+            await this.transcodeVideo(video, muxer, videoBitsPerSecond);
+        }
+
+        if (audio && audio.frames.length > 0) {
+            await this.convertAudio(audio, muxer);
+        }
+
+        this.throwIfCancelled();
+        return muxer.finalize();
+    }
+
+    remuxAvc(video, muxer) {
+        const config = video.codecPrivate && video.codecPrivate[0] === 1 ? video.codecPrivate : null;
+        const track = muxer.addVideoTrack({ width: video.width, height: video.height, avcC: config });
+
+        // Without an avcC record the stream is Annex B, with SPS/PPS inline in the keyframes
+        video.frames.forEach(frame => {
+            const data = config ? frame.data : this.annexBToAvcc(frame.data, track);
+            muxer.addSample(track, { data, timestamp: frame.timestamp, keyframe: frame.keyframe });
+            this.reportFrame();
+        });
+
+        if (!track.avcC) {
+            throw new Error('The H.264 stream has no SPS/PPS');
+        }
+    }
+
+    annexBToAvcc(data, track) {
+        const units = this.splitAnnexB(data);
+        const parts = [];
+
+        units.forEach(unit => {
+            const type = unit[0] & 0x1F;
+            if (type === 7) {
+                track.sps = track.sps || unit;
+            } else if (type === 8) {
+                track.pps = track.pps || unit;
+            }
+
+            // Access unit delimiters carry nothing an MP4 reader needs
+            if (type !== 9) {
+                const length = new Uint8Array(4);
+                new DataView(length.buffer).setUint32(0, unit.length);
+                parts.push(length, unit);
+            }
+        });
+
+        if (!track.avcC && track.sps && track.pps) {
+            track.avcC = this.buildAvcC(track.sps, track.pps);
+        }
+
+        const total = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    splitAnnexB(data) {
+        const starts = [];
+        for (let i = 0; i + 2 < data.length; i++) {
+            if (data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 1) {
+                starts.push(i + 3);
+                i += 2;
+            }
+        }
+
+        return starts.map((start, index) => {
+            let end = index + 1 < starts.length ? starts[index + 1] - 3 : data.length;
+            // Four-byte start codes leave a trailing zero on the previous unit
+            while (end > start && data[end - 1] === 0) {
+                end--;
+            }
+            return data.subarray(start, end);
+        }).filter(unit => unit.length > 0);
+    }
+
+    buildAvcC(sps, pps) {
+        const result = new Uint8Array(11 + sps.length + pps.length);
+        const view = new DataView(result.buffer);
+
+        result.set([1, sps[1], sps[2], sps[3], 0xFF, 0xE1]);
+        view.setUint16(6, sps.length);
+        result.set(sps, 8);
+        result[8 + sps.length] = 1;
+        view.setUint16(9 + sps.length, pps.length);
+        result.set(pps, 11 + sps.length);
+        return result;
+    }
+
+    async transcodeVideo(video, muxer, bitrate) {
+        const decoderCodec = MP4_DECODER_CODECS[video.codecId];
+        if (!decoderCodec) {
+            throw new Error(`Can't convert ${video.codecId || 'unknown'} video to MP4`);
+        }
+
+        // H.264 needs even dimensions
+        const width = video.width & ~1;
+        const height = video.height & ~1;
+        const encoderConfig = await this.findEncoderConfig(width, height, bitrate);
+        if (!encoderConfig) {
+            throw new Error('This browser has no H.264 encoder for MP4 export');
+        }
+
+        const track = muxer.addVideoTrack({ width, height });
+        let failure = null;
+        let lastKeyframe = -Infinity;
+
+        const encoder = new VideoEncoder({
+            output: (chunk, metadata) => {
+                if (metadata && metadata.decoderConfig && metadata.decoderConfig.description && !track.avcC) {
+                    track.avcC = new Uint8Array(metadata.decoderConfig.description);
+                }
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                muxer.addSample(track, { data, timestamp: chunk.timestamp, keyframe: chunk.type === 'key' });
+            },
+            error: (error) => {
+                failure = failure || error;
+            }
+        });
+        encoder.configure(encoderConfig);
+
+        const decoder = new VideoDecoder({
+            output: (frame) => {
+                const keyFrame = frame.timestamp - lastKeyframe >= MP4_KEYFRAME_INTERVAL_US;
+                if (keyFrame) {
+                    lastKeyframe = frame.timestamp;
+                }
+                encoder.encode(frame, { keyFrame });
+                frame.close();
+                this.reportFrame();
+            },
+            error: (error) => {
+                failure = failure || error;
+            }
+        });
+        decoder.configure({ codec: decoderCodec, codedWidth: video.width, codedHeight: video.height });
+
+        try {
+            for (const frame of video.frames) {
+                this.throwIfCancelled();
+                if (failure) {
+                    throw failure;
+                }
+
+                await this.waitForQueue(() => decoder.decodeQueueSize + encoder.encodeQueueSize < MP4_MAX_QUEUE);
+                decoder.decode(new EncodedVideoChunk({
+                    type: frame.keyframe ? 'key' : 'delta',
+                    timestamp: frame.timestamp,
+                    data: frame.data
+                }));
+            }
+
+            await decoder.flush();
+            await encoder.flush();
+            if (failure) {
+                throw failure;
+            }
+        } finally {
+            this.closeCodec(decoder);
+            this.closeCodec(encoder);
+        }
+    }
+
+    async findEncoderConfig(width, height, bitrate) {
+        for (const codec of MP4_ENCODER_CODECS) {
+            const config = { codec, width, height, bitrate, avc: { format: 'avc' } };
+            try {
+                const { supported } = await VideoEncoder.isConfigSupported(config);
+                if (supported) {
+                    return config;
+                }
+            } catch (error) {
+                // Malformed or unknown profile in this browser, try the next one
+            }
+        }
+        return null;
+    }
+
+    // Opus isn't universally playable from MP4, so prefer AAC when the browser can encode it
+    async convertAudio(audio, muxer) {
+        const sampleRate = audio.codecId === 'A_OPUS' ? 48000 : Math.round(audio.sampleRate || 48000);
+        const channels = audio.channels || 2;
+        const aacConfig = {
+            codec: 'mp4a.40.2',
+            sampleRate,
+            numberOfChannels: channels,
+            bitrate: MP4_AAC_BITRATE
+        };
+
+        let aacSupported = false;
+        if (typeof AudioEncoder !== 'undefined' && audio.codecId === 'A_OPUS') {
+            try {
+                aacSupported = (await AudioEncoder.isConfigSupported(aacConfig)).supported;
+            } catch (error) {
+                aacSupported = false;
+            }
+        }
+
+        if (aacSupported) {
+            await this.transcodeAudio(audio, muxer, aacConfig);
+            return;
+        }
+
+        if (audio.codecId !== 'A_OPUS') {
+            throw new Error(`Can't convert ${audio.codecId || 'unknown'} audio to MP4`);
+        }
+
+        const track = muxer.addAudioTrack({ codec: 'opus', sampleRate, channels, description: audio.codecPrivate });
+        let previousDuration = 20000;
+        audio.frames.forEach((frame, index) => {
+            // Unreadable packets fall back to the gap before the next one, and the last to the one before it
+            const next = audio.frames[index + 1];
+            const gap = next ? next.timestamp - frame.timestamp : 0;
+            const duration = this.getOpusDuration(frame.data) || (gap > 0 ? gap : previousDuration);
+
+            muxer.addSample(track, { data: frame.data, timestamp: frame.timestamp, duration });
+            previousDuration = duration;
+            this.reportFrame();
+        });
+    }
+
+    // How much audio a packet holds, read from its TOC byte; the recorder picks its own frame length
+    getOpusDuration(data) {
+        if (!data || data.length === 0) {
+            return 0;
+        }
+
+        const frameUs = OPUS_FRAME_US[data[0] >> 3];
+        const code = data[0] & 0x03;
+        if (code === 3 && data.length < 2) {
+            return 0;
+        }
+
+        const frames = code === 0 ? 1 : code === 3 ? data[1] & 0x3F : 2;
+        return frameUs * frames;
+    }
+
+    async transcodeAudio(audio, muxer, config) {
+        const track = muxer.addAudioTrack({
+            codec: 'mp4a',
+            sampleRate: config.sampleRate,
+            channels: config.numberOfChannels
+        });
+        let failure = null;
+
+        const encoder = new AudioEncoder({
+            output: (chunk, metadata) => {
+                if (metadata && metadata.decoderConfig && metadata.decoderConfig.description && !track.description) {
+                    track.description = new Uint8Array(metadata.decoderConfig.description);
+                }
+                const data = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(data);
+                muxer.addSample(track, { data, timestamp: chunk.timestamp, duration: chunk.duration });
+            },
+            error: (error) => {
+                failure = failure || error;
+            }
+        });
+        encoder.configure(config);
+
+        const decoder = new AudioDecoder({
+            output: (data) => {
+                encoder.encode(data);
+                data.close();
+                this.reportFrame();
+            },
+            error: (error) => {
+                failure = failure || error;
+            }
+        });
+        decoder.configure({
+            codec: 'opus',
+            sampleRate: config.sampleRate,
+            numberOfChannels: config.numberOfChannels,
+            description: audio.codecPrivate || undefined
+        });
+
+        try {
+            for (const frame of audio.frames) {
+                this.throwIfCancelled();
+                if (failure) {
+                    throw failure;
+                }
+
+                await this.waitForQueue(() => decoder.decodeQueueSize + encoder.encodeQueueSize < MP4_MAX_QUEUE * 4);
+                decoder.decode(new EncodedAudioChunk({
+                    type: 'key',
+                    timestamp: frame.timestamp,
+                    data: frame.data
+                }));
+            }
+
+            await decoder.flush();
+            await encoder.flush();
+            if (failure) {
+                throw failure;
+            }
+        } finally {
+            this.closeCodec(decoder);
+            this.closeCodec(encoder);
+        }
+
+        if (!track.description) {
+            throw new Error('The AAC encoder produced no decoder configuration');
+        }
+    }
+
+    async waitForQueue(isReady) {
+        while (!isReady()) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    }
+
+    closeCodec(codec) {
+        if (codec.state !== 'closed') {
+            codec.close();
+        }
+    }
+
+    reportFrame() {
+        this.doneFrames++;
+        if (this.onProgress && this.doneFrames % 30 === 0) {
+            this.onProgress(Math.min(1, this.doneFrames / this.totalFrames));
+        }
+    }
+
+    throwIfCancelled() {
+        if (this.cancelled) {
+            throw new Error('Export cancelled');
+        }
+    }
+}
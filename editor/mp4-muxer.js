@@ -0,0 +1,396 @@
+// Writes a plain (non-fragmented) MP4 with the index up front so players can start before the whole file loads
+const MP4_MOVIE_TIMESCALE = 1000;
+
+// Samples are grouped into chunks of about this long and chunks of all tracks interleaved by time
+const MP4_CHUNK_DURATION_US = 500000;
+
+class Mp4Muxer {
+    constructor() {
+        this.tracks = [];
+    }
+
+    // avcC can be filled in later (WebCodecs only hands it over with the first encoded frame)
+    addVideoTrack({ width, height, avcC = null }) {
+        return this.addTrack({ type: 'video', codec: 'avc1', width, height, avcC, timescale: 90000 });
+    }
+
+    // codec is 'mp4a' (description = AudioSpecificConfig) or 'opus' (description = OpusHead)
+    addAudioTrack({ codec, sampleRate, channels, description = null }) {
+        return this.addTrack({ type: 'audio', codec, sampleRate, channels, description, timescale: sampleRate });
+    }
+
+    addTrack(options) {
+        const track = { ...options, id: this.tracks.length + 1, samples: [] };
+        this.tracks.push(track);
+        return track;
+    }
+
+    // timestamp and duration are in microseconds; samples must arrive in decode order
+    addSample(track, { data, timestamp, keyframe = true, duration = null }) {
+        track.samples.push({ data, timestamp, keyframe, duration });
+    }
+
+    finalize() {
+        const tracks = this.tracks.filter(track => track.samples.length > 0);
+        if (tracks.length === 0) {
+            throw new Error('Nothing to write');
+        }
+
+        const startTime = Math.min(...tracks.map(track => track.samples[0].timestamp));
+        tracks.forEach(track => this.computeTiming(track, startTime));
+
+        const chunks = this.buildChunks(tracks);
+        const ftyp = this.box('ftyp', [
+            this.ascii('isom'),
+            this.u32(512),
+            this.ascii('isom'),
+            this.ascii('iso2'),
+            this.ascii('avc1'),
+            this.ascii('mp41')
+        ]);
+
+        // moov's size doesn't depend on the offsets it stores (co64 is fixed width), so lay it out once to measure
+        let moov = this.buildMoov(tracks, chunks, 0);
+        const mdatHeaderSize = 16;
+        const dataStart = ftyp.length + moov.length + mdatHeaderSize;
+        moov = this.buildMoov(tracks, chunks, dataStart);
+
+        const dataSize = chunks.reduce((sum, chunk) => sum + chunk.size, 0);
+        const mdatHeader = this.concat([this.u32(1), this.ascii('mdat'), this.u64(mdatHeaderSize + dataSize)]);
+
+        const parts = [ftyp, moov, mdatHeader];
+        chunks.forEach(chunk => chunk.samples.forEach(sample => parts.push(sample.data)));
+
+        return new Blob(parts, { type: 'video/mp4' });
+    }
+
+    computeTiming(track, startTime) {
+        const samples = track.samples;
+        const toTimescale = us => Math.round(us * track.timescale / 1000000);
+
+        samples.forEach((sample, index) => {
+            const next = samples[index + 1];
+            let duration;
+            if (next) {
+                duration = toTimescale(next.timestamp - startTime) - toTimescale(sample.timestamp - startTime);
+            } else if (sample.duration !== null) {
+                duration = toTimescale(sample.duration);
+            } else {
+                duration = index > 0 ? samples[index - 1].delta : toTimescale(33333);
+            }
+            sample.delta = Math.max(1, duration);
+        });
+
+        track.duration = samples.reduce((sum, sample) => sum + sample.delta, 0);
+        // A track that starts after the others gets an empty edit so it stays in sync
+        track.offset = samples[0].timestamp - startTime;
+    }
+
+    buildChunks(tracks) {
+        const chunks = [];
+
+        tracks.forEach(track => {
+            track.chunks = [];
+            let chunk = null;
+
+            track.samples.forEach(sample => {
+                if (!chunk || sample.timestamp - chunk.timestamp >= MP4_CHUNK_DURATION_US) {
+                    chunk = { track, timestamp: sample.timestamp, samples: [], size: 0 };
+                    track.chunks.push(chunk);
+                    chunks.push(chunk);
+                }
+                chunk.samples.push(sample);
+                chunk.size += sample.data.byteLength;
+            });
+        });
+
+        return chunks.sort((a, b) => a.timestamp - b.timestamp || a.track.id - b.track.id);
+    }
+
+    buildMoov(tracks, chunks, dataStart) {
+        let offset = dataStart;
+        chunks.forEach(chunk => {
+            chunk.offset = offset;
+            offset += chunk.size;
+        });
+
+        const movieDuration = Math.max(...tracks.map(track => this.movieTime(track)));
+
+        return this.box('moov', [
+            this.fullBox('mvhd', 0, 0, [
+                this.u32(0),
+                this.u32(0),
+                this.u32(MP4_MOVIE_TIMESCALE),
+                this.u32(movieDuration),
+                this.u32(0x00010000),
+                this.u16(0x0100),
+                new Uint8Array(10),
+                this.matrix(),
+                new Uint8Array(24),
+                this.u32(this.tracks.length + 1)
+            ]),
+            ...tracks.map(track => this.buildTrak(track))
+        ]);
+    }
+
+    movieTime(track) {
+        return Math.round((track.offset / 1000000 + track.duration / track.timescale) * MP4_MOVIE_TIMESCALE);
+    }
+
+    buildTrak(track) {
+        const isVideo = track.type === 'video';
+        const boxes = [
+            this.fullBox('tkhd', 0, 3, [
+                this.u32(0),
+                this.u32(0),
+                this.u32(track.id),
+                this.u32(0),
+                this.u32(this.movieTime(track)),
+                new Uint8Array(8),
+                this.u16(0),
+                this.u16(0),
+                this.u16(isVideo ? 0 : 0x0100),
+                this.u16(0),
+                this.matrix(),
+                this.u32(isVideo ? track.width * 0x10000 : 0),
+                this.u32(isVideo ? track.height * 0x10000 : 0)
+            ])
+        ];
+
+        const offset = Math.round(track.offset / 1000000 * MP4_MOVIE_TIMESCALE);
+        if (offset > 0) {
+            boxes.push(this.box('edts', [
+                this.fullBox('elst', 0, 0, [
+                    this.u32(2),
+                    this.u32(offset),
+                    this.u32(0xFFFFFFFF),
+                    this.u32(0x00010000),
+                    this.u32(this.movieTime(track) - offset),
+                    this.u32(0),
+                    this.u32(0x00010000)
+                ])
+            ]));
+        }
+
+        boxes.push(this.box('mdia', [
+            this.fullBox('mdhd', 0, 0, [
+                this.u32(0),
+                this.u32(0),
+                this.u32(track.timescale),
+                this.u32(track.duration),
+                this.u16(0x55C4), // 'und'
+                this.u16(0)
+            ]),
+            this.fullBox('hdlr', 0, 0, [
+                this.u32(0),
+                this.ascii(isVideo ? 'vide' : 'soun'),
+                new Uint8Array(12),
+                this.ascii(isVideo ? 'VideoHandler\0' : 'SoundHandler\0')
+            ]),
+            this.box('minf', [
+                isVideo
+                    ? this.fullBox('vmhd', 0, 1, [new Uint8Array(8)])
+                    : this.fullBox('smhd', 0, 0, [new Uint8Array(4)]),
+                this.box('dinf', [
+                    this.fullBox('dref', 0, 0, [this.u32(1), this.fullBox('url ', 0, 1, [])])
+                ]),
+                this.buildStbl(track)
+            ])
+        ]));
+
+        return this.box('trak', boxes);
+    }
+
+    buildStbl(track) {
+        const boxes = [
+            this.fullBox('stsd', 0, 0, [this.u32(1), this.buildSampleEntry(track)]),
+            this.buildStts(track)
+        ];
+
+        if (track.type === 'video') {
+            const keyframes = [];
+            track.samples.forEach((sample, index) => {
+                if (sample.keyframe) {
+                    keyframes.push(this.u32(index + 1));
+                }
+            });
+            boxes.push(this.fullBox('stss', 0, 0, [this.u32(keyframes.length), ...keyframes]));
+        }
+
+        boxes.push(this.buildStsc(track));
+        boxes.push(this.fullBox('stsz', 0, 0, [
+            this.u32(0),
+            this.u32(track.samples.length),
+            ...track.samples.map(sample => this.u32(sample.data.byteLength))
+        ]));
+        boxes.push(this.fullBox('co64', 0, 0, [
+            this.u32(track.chunks.length),
+            ...track.chunks.map(chunk => this.u64(chunk.offset))
+        ]));
+
+        return this.box('stbl', boxes);
+    }
+
+    buildStts(track) {
+        const runs = [];
+        track.samples.forEach(sample => {
+            const last = runs[runs.length - 1];
+            if (last && last.delta === sample.delta) {
+                last.count++;
+            } else {
+                runs.push({ count: 1, delta: sample.delta });
+            }
+        });
+
+        return this.fullBox('stts', 0, 0, [
+            this.u32(runs.length),
+            ...runs.map(run => this.concat([this.u32(run.count), this.u32(run.delta)]))
+        ]);
+    }
+
+    buildStsc(track) {
+        const runs = [];
+        track.chunks.forEach((chunk, index) => {
+            const last = runs[runs.length - 1];
+            if (!last || last.count !== chunk.samples.length) {
+                runs.push({ firstChunk: index + 1, count: chunk.samples.length });
+            }
+        });
+
+        return this.fullBox('stsc', 0, 0, [
+            this.u32(runs.length),
+            ...runs.map(run => this.concat([this.u32(run.firstChunk), this.u32(run.count), this.u32(1)]))
+        ]);
+    }
+
+    buildSampleEntry(track) {
+        if (track.type === 'video') {
+            if (!track.avcC) {
+                throw new Error('Missing H.264 decoder configuration');
+            }
+
+            const compressorName = new Uint8Array(32);
+            return this.box('avc1', [
+                new Uint8Array(6),
+                this.u16(1),
+                new Uint8Array(16),
+                this.u16(track.width),
+                this.u16(track.height),
+                this.u32(0x00480000),
+                this.u32(0x00480000),
+                this.u32(0),
+                this.u16(1),
+                compressorName,
+                this.u16(0x0018),
+                this.u16(0xFFFF),
+                this.box('avcC', [track.avcC])
+            ]);
+        }
+
+        const audioEntry = [
+            new Uint8Array(6),
+            this.u16(1),
+            new Uint8Array(8),
+            this.u16(track.channels),
+            this.u16(16),
+            new Uint8Array(4),
+            this.u32(track.sampleRate * 0x10000)
+        ];
+
+        if (track.codec === 'opus') {
+            return this.box('Opus', [...audioEntry, this.box('dOps', [this.buildDops(track)])]);
+        }
+
+        return this.box('mp4a', [...audioEntry, this.buildEsds(track)]);
+    }
+
+    // dOps is OpusHead minus the magic, big-endian instead of little-endian
+    buildDops(track) {
+        const head = track.description;
+        if (!head || head.length < 19) {
+            return this.concat([new Uint8Array([0, track.channels]), this.u16(0), this.u32(track.sampleRate), this.u16(0), new Uint8Array([0])]);
+        }
+
+        const view = new DataView(head.buffer, head.byteOffset, head.byteLength);
+        return this.concat([
+            new Uint8Array([0, head[9]]),
+            this.u16(view.getUint16(10, true)),
+            this.u32(view.getUint32(12, true)),
+            this.u16(view.getUint16(16, true)),
+            head.subarray(18)
+        ]);
+    }
+
+    buildEsds(track) {
+        const descriptor = (tag, parts) => {
+            const payload = this.concat(parts);
+            return this.concat([new Uint8Array([tag, 0x80, 0x80, 0x80, payload.length]), payload]);
+        };
+
+        return this.fullBox('esds', 0, 0, [
+            descriptor(0x03, [
+                this.u16(track.id),
+                new Uint8Array([0]),
+                descriptor(0x04, [
+                    new Uint8Array([0x40, 0x15, 0, 0, 0]),
+                    this.u32(0),
+                    this.u32(0),
+                    descriptor(0x05, [track.description || new Uint8Array(0)])
+                ]),
+                descriptor(0x06, [new Uint8Array([0x02])])
+            ])
+        ]);
+    }
+
+    matrix() {
+        return this.concat([
+            this.u32(0x00010000), this.u32(0), this.u32(0),
+            this.u32(0), this.u32(0x00010000), this.u32(0),
+            this.u32(0), this.u32(0), this.u32(0x40000000)
+        ]);
+    }
+
+    box(type, parts) {
+        const payload = this.concat(parts);
+        return this.concat([this.u32(8 + payload.length), this.ascii(type), payload]);
+    }
+
+    fullBox(type, version, flags, parts) {
+        return this.box(type, [this.u32((version << 24) | flags), ...parts]);
+    }
+
+    concat(parts) {
+        const length = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(length);
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    ascii(text) {
+        return Uint8Array.from(text, char => char.charCodeAt(0));
+    }
+
+    u16(value) {
+        const bytes = new Uint8Array(2);
+        new DataView(bytes.buffer).setUint16(0, value);
+        return bytes;
+    }
+
+    u32(value) {
+        const bytes = new Uint8Array(4);
+        new DataView(bytes.buffer).setUint32(0, value >>> 0);
+        return bytes;
+    }
+
+    u64(value) {
+        const bytes = new Uint8Array(8);
+        const view = new DataView(bytes.buffer);
+        view.setUint32(0, Math.floor(value / 0x100000000));
+        view.setUint32(4, value % 0x100000000);
+        return bytes;
+    }
+}
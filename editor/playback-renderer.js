@@ -0,0 +1,116 @@
+// Draws the source video into a canvas through the zoom camera, then any overlay layers
+class PlaybackRenderer {
+    constructor(video, canvas, zoomEngine, layers = []) {
+        this.video = video;
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.zoomEngine = zoomEngine;
+        this.layers = layers;
+        this.zoomEnabled = true;
+        this.frameHandle = null;
+    }
+
+    start() {
+        if (this.frameHandle !== null) {
+            return;
+        }
+
+        const loop = () => {
+            this.renderFrame(this.video.currentTime * 1000);
+            this.frameHandle = requestAnimationFrame(loop);
+        };
+        this.frameHandle = requestAnimationFrame(loop);
+    }
+
+    stop() {
+        if (this.frameHandle !== null) {
+            cancelAnimationFrame(this.frameHandle);
+            this.frameHandle = null;
+        }
+    }
+
+    setZoomEnabled(enabled) {
+        this.zoomEnabled = enabled;
+        this.renderFrame(this.video.currentTime * 1000);
+    }
+
+    getCamera(time) {
+        if (!this.zoomEnabled || !this.zoomEngine) {
+            return { scale: 1, x: 0.5, y: 0.5 };
+        }
+        return this.zoomEngine.getCamera(time);
+    }
+
+    renderFrame(time) {
+        const width = this.video.videoWidth;
+        const height = this.video.videoHeight;
+
+        if (!width || !height) {
+            return;
+        }
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        const camera = this.getCamera(time);
+        const sourceWidth = width / camera.scale;
+        const sourceHeight = height / camera.scale;
+        const sourceX = camera.x * width - sourceWidth / 2;
+        const sourceY = camera.y * height - sourceHeight / 2;
+
+        this.ctx.imageSmoothingQuality = 'high';
+        this.ctx.drawImage(
+            this.video,
+            sourceX, sourceY, sourceWidth, sourceHeight,
+            0, 0, width, height
+        );
+
+        const view = this.createView(camera, width, height);
+        this.layers.forEach(layer => {
+            if (layer.enabled) {
+                layer.draw(this.ctx, time, view);
+            }
+        });
+    }
+
+    // Maps normalized video coordinates onto the zoomed canvas
+    createView(camera, width, height) {
+        const left = camera.x - 0.5 / camera.scale;
+        const top = camera.y - 0.5 / camera.scale;
+
+        return {
+            camera,
+            width,
+            height,
+            toCanvas: (point) => ({
+                x: (point.x - left) * camera.scale * width,
+                y: (point.y - top) * camera.scale * height
+            })
+        };
+    }
+
+    redraw() {
+        this.renderFrame(this.video.currentTime * 1000);
+    }
+
+    // Layers with media of their own (like the webcam) load it before the first frame
+    prepare() {
+        return Promise.all(this.layers.map(layer => (layer.prepare ? layer.prepare() : null)));
+    }
+
+    // Waits for layers that seek media of their own to catch up with a (paused) seek to this time
+    settle(time) {
+        return Promise.all(this.layers.map(layer => (layer.settle && layer.enabled ? layer.settle(time) : null)));
+    }
+
+    destroy() {
+        this.stop();
+        this.layers.forEach(layer => {
+            if (layer.release) {
+                layer.release();
+            }
+        });
+    }
+}
@@ -0,0 +1,409 @@
+// Arranges clips from several recordings on one timeline and exports them as a single project video
+const MIN_CLIP_MS = 500;
+const PROJECT_CLIP_HUES = [217, 142, 38, 280, 350, 190];
+
+class ProjectEditor {
+    constructor(recordings, options = {}) {
+        this.recordings = new Map(recordings.map(recording => [recording.id, recording]));
+        this.store = options.store || new RecordingStore();
+        this.onExported = options.onExported || (() => {});
+        this.exporter = null;
+        this.selectedIndex = 0;
+        this.previewUrl = null;
+        this.previewRecordingId = null;
+        this.dragIndex = null;
+        this.playheadLabel = null;
+        this.nextClipId = 0;
+
+        // Start from what each recording's own trim and cuts keep, in the order they were picked
+        this.clips = [];
+        recordings.forEach(recording => {
+            const editList = new EditList(recording.duration || 0, recording.edits && recording.edits.editList);
+            editList.getKeptRanges().forEach(range => this.clips.push(this.createClip(recording.id, range.start, range.end)));
+        });
+
+        this.element = this.render();
+        this.bindEvents();
+        this.refresh();
+    }
+
+    createClip(recordingId, start, end) {
+        return { id: `clip_${this.nextClipId++}`, recordingId, start: Math.round(start), end: Math.round(end) };
+    }
+
+    render() {
+        const container = document.createElement('div');
+        container.className = 'player project-editor';
+        container.innerHTML = `
+            <div class="player-stage">
+                <video class="project-preview" data-role="preview" controls playsinline></video>
+            </div>
+            <div class="zoom-timeline">
+                <div class="zoom-timeline-header">
+                    <strong>🎞️ Clips</strong>
+                    <div class="zoom-timeline-actions">
+                        <button class="player-button" data-role="moveLeft" title="Move earlier">◀</button>
+                        <button class="player-button" data-role="moveRight" title="Move later">▶</button>
+                        <button class="player-button" data-role="split">✂️ Split at Playhead</button>
+                        <button class="player-button" data-role="remove">🗑️ Remove</button>
+                    </div>
+                </div>
+                <div class="project-clips" data-role="clips"></div>
+                <div class="zoom-segment-panel" data-role="panel"></div>
+            </div>
+            <div class="player-controls">
+                <span class="player-time" data-role="total"></span>
+                <span class="player-seek"></span>
+                <select class="player-select" data-role="exportFormat" title="Export format">
+                    <option value="webm">WebM</option>
+                    <option value="mp4">MP4</option>
+                </select>
+                <button class="player-button" data-role="export">📤 Export Project</button>
+            </div>
+            <div class="export-panel" data-role="exportPanel" style="display: none;">
+                <progress class="export-progress" data-role="exportProgress" max="1" value="0"></progress>
+                <span class="export-status" data-role="exportStatus"></span>
+                <button class="player-button" data-role="exportCancel">✖️ Cancel</button>
+            </div>
+        `;
+
+        this.preview = container.querySelector('[data-role="preview"]');
+        this.clipStrip = container.querySelector('[data-role="clips"]');
+        this.panel = container.querySelector('[data-role="panel"]');
+        this.totalLabel = container.querySelector('[data-role="total"]');
+        this.moveLeftButton = container.querySelector('[data-role="moveLeft"]');
+        this.moveRightButton = container.querySelector('[data-role="moveRight"]');
+        this.splitButton = container.querySelector('[data-role="split"]');
+        this.removeButton = container.querySelector('[data-role="remove"]');
+        this.exportFormatSelect = container.querySelector('[data-role="exportFormat"]');
+        this.exportButton = container.querySelector('[data-role="export"]');
+        this.exportPanel = container.querySelector('[data-role="exportPanel"]');
+        this.exportProgress = container.querySelector('[data-role="exportProgress"]');
+        this.exportStatus = container.querySelector('[data-role="exportStatus"]');
+        this.exportCancelButton = container.querySelector('[data-role="exportCancel"]');
+
+        return container;
+    }
+
+    bindEvents() {
+        this.moveLeftButton.addEventListener('click', () => this.moveClip(this.selectedIndex, this.selectedIndex - 1));
+        this.moveRightButton.addEventListener('click', () => this.moveClip(this.selectedIndex, this.selectedIndex + 1));
+        this.splitButton.addEventListener('click', () => this.splitSelected());
+        this.removeButton.addEventListener('click', () => this.removeSelected());
+        this.exportButton.addEventListener('click', () => this.exportProject());
+        this.exportCancelButton.addEventListener('click', () => {
+            if (this.exporter) {
+                this.exporter.cancel();
+            }
+        });
+
+        // Keep the preview inside the selected clip
+        this.preview.addEventListener('timeupdate', () => {
+            const clip = this.clips[this.selectedIndex];
+            if (clip && this.preview.currentTime * 1000 >= clip.end && !this.preview.paused) {
+                this.preview.pause();
+            }
+            this.updatePlayhead();
+        });
+
+        // The clip list is fixed while it is being exported
+        this.clipStrip.addEventListener('dragstart', (event) => {
+            const block = event.target.closest('.project-clip');
+            if (this.exporter) {
+                event.preventDefault();
+            } else if (block) {
+                this.dragIndex = parseInt(block.dataset.index, 10);
+                event.dataTransfer.effectAllowed = 'move';
+            }
+        });
+
+        this.clipStrip.addEventListener('dragover', (event) => {
+            if (this.dragIndex !== null) {
+                event.preventDefault();
+            }
+        });
+
+        this.clipStrip.addEventListener('drop', (event) => {
+            event.preventDefault();
+            const block = event.target.closest('.project-clip');
+            if (this.dragIndex === null || this.exporter) {
+                return;
+            }
+
+            const target = block ? parseInt(block.dataset.index, 10) : this.clips.length - 1;
+            this.moveClip(this.dragIndex, target);
+            this.dragIndex = null;
+        });
+
+        this.clipStrip.addEventListener('dragend', () => {
+            this.dragIndex = null;
+        });
+    }
+
+    get duration() {
+        return this.clips.reduce((sum, clip) => sum + clip.end - clip.start, 0);
+    }
+
+    refresh() {
+        this.selectedIndex = Math.min(this.selectedIndex, this.clips.length - 1);
+        this.renderClips();
+        this.renderPanel();
+        this.loadPreview();
+
+        this.totalLabel.textContent = `Total ${this.formatTime(this.duration)} · ${this.clips.length} clip${this.clips.length === 1 ? '' : 's'}`;
+        const exporting = Boolean(this.exporter);
+        this.exportButton.disabled = this.clips.length === 0 || exporting;
+        this.moveLeftButton.disabled = exporting || this.selectedIndex <= 0;
+        this.moveRightButton.disabled = exporting || this.selectedIndex < 0 || this.selectedIndex >= this.clips.length - 1;
+        this.splitButton.disabled = exporting || this.selectedIndex < 0;
+        this.removeButton.disabled = exporting || this.selectedIndex < 0;
+    }
+
+    renderClips() {
+        const recordingIds = [...this.recordings.keys()];
+        this.clipStrip.innerHTML = '';
+
+        this.clips.forEach((clip, index) => {
+            const hue = PROJECT_CLIP_HUES[recordingIds.indexOf(clip.recordingId) % PROJECT_CLIP_HUES.length];
+            const block = document.createElement('div');
+            block.className = 'project-clip';
+            block.classList.toggle('selected', index === this.selectedIndex);
+            block.draggable = true;
+            block.dataset.index = index;
+            block.style.flexGrow = Math.max(1, clip.end - clip.start);
+            block.style.background = `hsla(${hue}, 70%, 50%, 0.75)`;
+            block.title = `${this.getRecordingLabel(clip.recordingId)} · ${this.formatTime(clip.start)}–${this.formatTime(clip.end)}`;
+            block.textContent = `${index + 1}. ${this.formatTime(clip.end - clip.start)}`;
+
+            block.addEventListener('click', () => {
+                if (this.exporter) {
+                    return;
+                }
+                this.selectedIndex = index;
+                this.refresh();
+            });
+
+            this.clipStrip.appendChild(block);
+        });
+    }
+
+    renderPanel() {
+        const clip = this.clips[this.selectedIndex];
+
+        if (!clip) {
+            this.panel.innerHTML = '<span class="zoom-panel-hint">No clips left. Close and pick recordings again to start over.</span>';
+            this.playheadLabel = null;
+            return;
+        }
+
+        this.panel.innerHTML = `
+            <span>${this.getRecordingLabel(clip.recordingId)} · ${this.formatTime(clip.start)}–${this.formatTime(clip.end)}</span>
+            <span class="zoom-panel-hint">Playhead <span data-role="playhead"></span>. Drag clips to reorder.</span>
+        `;
+        this.playheadLabel = this.panel.querySelector('[data-role="playhead"]');
+        this.updatePlayhead();
+    }
+
+    // Runs on every timeupdate, so it only touches the playhead text
+    updatePlayhead() {
+        if (this.playheadLabel) {
+            this.playheadLabel.textContent = this.formatTime(this.getPlayhead());
+        }
+    }
+
+    // The preview plays the selected clip's recording, starting at the clip
+    loadPreview() {
+        const clip = this.clips[this.selectedIndex];
+        if (!clip) {
+            this.preview.removeAttribute('src');
+            return;
+        }
+
+        if (this.previewRecordingId === clip.recordingId) {
+            this.preview.currentTime = clip.start / 1000;
+            return;
+        }
+
+        const recording = this.recordings.get(clip.recordingId);
+        this.previewRecordingId = clip.recordingId;
+        this.store.getRecordingBlob(recording).then(blob => {
+            if (!blob || this.previewRecordingId !== recording.id) {
+                return;
+            }
+            if (this.previewUrl) {
+                URL.revokeObjectURL(this.previewUrl);
+            }
+            this.previewUrl = URL.createObjectURL(blob);
+            this.preview.src = this.previewUrl;
+            this.preview.currentTime = this.clips[this.selectedIndex].start / 1000;
+        }).catch(error => console.error('Error loading clip preview:', error));
+    }
+
+    getPlayhead() {
+        const clip = this.clips[this.selectedIndex];
+        if (!clip) {
+            return 0;
+        }
+        return Math.min(clip.end, Math.max(clip.start, this.preview.currentTime * 1000));
+    }
+
+    moveClip(from, to) {
+        if (from < 0 || to < 0 || from >= this.clips.length || to >= this.clips.length || from === to) {
+            return;
+        }
+
+        const [clip] = this.clips.splice(from, 1);
+        this.clips.splice(to, 0, clip);
+        this.selectedIndex = to;
+        this.refresh();
+    }
+
+    splitSelected() {
+        const clip = this.clips[this.selectedIndex];
+        const at = this.getPlayhead();
+
+        if (!clip || at - clip.start < MIN_CLIP_MS || clip.end - at < MIN_CLIP_MS) {
+            alert('Move the preview playhead inside the clip, at least half a second from either end.');
+            return;
+        }
+
+        this.clips.splice(
+            this.selectedIndex,
+            1,
+            this.createClip(clip.recordingId, clip.start, at),
+            this.createClip(clip.recordingId, at, clip.end)
+        );
+        this.selectedIndex++;
+        this.refresh();
+    }
+
+    removeSelected() {
+        if (this.selectedIndex >= 0) {
+            this.clips.splice(this.selectedIndex, 1);
+            this.refresh();
+        }
+    }
+
+    async exportProject() {
+        if (this.exporter || this.clips.length === 0) {
+            return;
+        }
+
+        const format = this.exportFormatSelect.value;
+        if (format === 'mp4' && !Mp4Exporter.isSupported()) {
+            this.exportPanel.style.display = 'flex';
+            this.exportStatus.textContent = 'MP4 export needs WebCodecs, which this browser lacks';
+            return;
+        }
+
+        this.preview.pause();
+        this.setExporting(true);
+        this.setExportProgress(0);
+
+        const first = this.recordings.get(this.clips[0].recordingId);
+        const encoding = first.encoding || {};
+        // What gets rendered is what gets saved with the project
+        const clips = this.clips.map(clip => ({ ...clip }));
+
+        this.exporter = new ProjectExporter({
+            clips,
+            recordings: this.recordings,
+            store: this.store,
+            mimeTypes: format === 'mp4' ? MP4_EXPORT_MIME_TYPES : EXPORT_MIME_TYPES,
+            videoBitsPerSecond: encoding.videoBitsPerSecond,
+            onProgress: (progress) => this.setExportProgress(progress)
+        });
+
+        try {
+            const result = await this.exporter.run();
+
+            if (format === 'mp4' && result.mimeType !== 'video/mp4') {
+                this.exporter = new Mp4Exporter({
+                    onProgress: (progress) => this.setExportProgress(progress, 'Converting to MP4')
+                });
+                this.setExportProgress(0, 'Converting to MP4');
+                result.blob = await this.exporter.convert(result.blob, {
+                    videoBitsPerSecond: encoding.videoBitsPerSecond
+                });
+                result.mimeType = 'video/mp4';
+            }
+
+            this.exportCancelButton.disabled = true;
+            this.exportStatus.textContent = 'Saving project...';
+
+            const projectId = `recording_${Date.now()}`;
+            await this.store.putBlob(projectId, result.blob);
+
+            const response = await chrome.runtime.sendMessage({
+                action: 'SAVE_PROJECT_RECORDING',
+                data: {
+                    recordingId: projectId,
+                    clips,
+                    size: result.blob.size,
+                    duration: result.duration,
+                    mimeType: result.mimeType,
+                    cursorEvents: result.cursorEvents,
+                    capture: { width: result.width, height: result.height }
+                }
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to save project');
+            }
+
+            this.exportStatus.textContent = '✅ Saved as a new project in your library';
+            this.onExported(response.recordingId);
+        } catch (error) {
+            console.error('Error exporting project:', error);
+            this.exportStatus.textContent = this.exporter.cancelled ?
+                'Export cancelled' : `Export failed: ${error.message}`;
+        } finally {
+            this.exporter = null;
+            this.setExporting(false);
+        }
+    }
+
+    setExporting(exporting) {
+        this.exportButton.disabled = exporting || this.clips.length === 0;
+        this.exportFormatSelect.disabled = exporting;
+        this.exportCancelButton.disabled = !exporting;
+        [this.moveLeftButton, this.moveRightButton, this.splitButton, this.removeButton].forEach(button => {
+            button.disabled = exporting;
+        });
+        if (exporting) {
+            this.exportPanel.style.display = 'flex';
+        } else {
+            this.refresh();
+        }
+    }
+
+    setExportProgress(progress, label = 'Rendering') {
+        this.exportProgress.value = progress;
+        this.exportStatus.textContent = `${label}... ${Math.round(progress * 100)}%`;
+    }
+
+    getRecordingLabel(recordingId) {
+        const recording = this.recordings.get(recordingId);
+        return recording ? `Recording ${new Date(recording.timestamp).toLocaleTimeString()}` : 'Recording';
+    }
+
+    formatTime(ms) {
+        const total = Math.floor(ms / 1000);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    destroy() {
+        if (this.exporter) {
+            this.exporter.cancel();
+        }
+
+        this.preview.pause();
+        this.preview.removeAttribute('src');
+        this.preview.load();
+
+        if (this.previewUrl) {
+            URL.revokeObjectURL(this.previewUrl);
+            this.previewUrl = null;
+        }
+    }
+}
@@ -0,0 +1,290 @@
+// Plays a project's clips back to back into one canvas recording, pausing the recorder between clips,
+// and merges their cursor events onto the combined timeline and frame
+class ProjectExporter {
+    constructor(options) {
+        this.clips = options.clips;
+        this.recordings = options.recordings;
+        this.store = options.store;
+        this.mimeTypes = options.mimeTypes || EXPORT_MIME_TYPES;
+        this.videoBitsPerSecond = options.videoBitsPerSecond || 8000000;
+        this.onProgress = options.onProgress || (() => {});
+
+        this.cancelled = false;
+        this.videos = new Map();
+        this.urls = [];
+        this.audioContext = null;
+        this.mediaRecorder = null;
+    }
+
+    get outputDuration() {
+        return this.clips.reduce((sum, clip) => sum + clip.end - clip.start, 0);
+    }
+
+    async run() {
+        if (this.clips.length === 0) {
+            throw new Error('The project has no clips');
+        }
+
+        try {
+            return await this.render();
+        } finally {
+            this.cleanup();
+        }
+    }
+
+    async render() {
+        for (const clip of this.clips) {
+            await this.getVideo(clip.recordingId);
+        }
+
+        // The first clip sets the frame; others are letterboxed into it
+        const first = this.videos.get(this.clips[0].recordingId);
+        const canvas = document.createElement('canvas');
+        canvas.width = first.videoWidth;
+        canvas.height = first.videoHeight;
+        const ctx = canvas.getContext('2d');
+
+        const videoTrack = canvas.captureStream(0).getVideoTracks()[0];
+        const destination = this.audioContext.createMediaStreamDestination();
+        this.videos.forEach(video => video.audioSource.connect(destination));
+
+        const stream = new MediaStream([videoTrack, ...destination.stream.getAudioTracks()]);
+        const mimeType = this.mimeTypes.find(type => MediaRecorder.isTypeSupported(type)) || '';
+        const chunks = [];
+
+        this.mediaRecorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: this.videoBitsPerSecond });
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+        const stopped = new Promise(resolve => {
+            this.mediaRecorder.onstop = resolve;
+        });
+
+        const cursorEvents = [];
+        let offset = 0;
+
+        for (let index = 0; index < this.clips.length; index++) {
+            this.throwIfCancelled();
+
+            const clip = this.clips[index];
+            const video = this.videos.get(clip.recordingId);
+            const placement = this.fit(video, canvas);
+
+            await this.seek(video, clip.start);
+            this.drawFrame(ctx, video, placement);
+            videoTrack.requestFrame();
+
+            if (this.mediaRecorder.state === 'inactive') {
+                this.mediaRecorder.start(1000);
+            } else {
+                this.mediaRecorder.resume();
+            }
+
+            await this.playClip(video, clip, (timeMs) => {
+                this.drawFrame(ctx, video, placement);
+                videoTrack.requestFrame();
+                this.onProgress(Math.min(1, (offset + timeMs - clip.start) / this.outputDuration));
+            });
+
+            video.pause();
+            this.throwIfCancelled();
+            this.mediaRecorder.pause();
+
+            cursorEvents.push(...this.mergeCursorEvents(clip, offset, placement, canvas));
+            offset += clip.end - clip.start;
+        }
+
+        this.throwIfCancelled();
+        this.mediaRecorder.stop();
+        await stopped;
+        stream.getTracks().forEach(track => track.stop());
+
+        const type = (this.mediaRecorder.mimeType || 'video/webm').split(';')[0];
+        return {
+            blob: new Blob(chunks, { type }),
+            mimeType: type,
+            duration: Math.round(offset),
+            cursorEvents,
+            width: canvas.width,
+            height: canvas.height
+        };
+    }
+
+    async getVideo(recordingId) {
+        if (this.videos.has(recordingId)) {
+            return this.videos.get(recordingId);
+        }
+
+        const recording = this.recordings.get(recordingId);
+        const blob = recording ? await this.store.getRecordingBlob(recording) : null;
+        if (!blob) {
+            throw new Error('A recording in the project has no video');
+        }
+
+        const url = URL.createObjectURL(blob);
+        this.urls.push(url);
+
+        const video = HiddenVideo.create(url);
+        await HiddenVideo.waitForEvent(video, 'loadeddata');
+
+        // Audio goes to the recorder only, never the speakers
+        if (!this.audioContext) {
+            this.audioContext = new AudioContext();
+        }
+        video.audioSource = this.audioContext.createMediaElementSource(video);
+
+        this.videos.set(recordingId, video);
+        return video;
+    }
+
+    fit(video, canvas) {
+        const scale = Math.min(canvas.width / video.videoWidth, canvas.height / video.videoHeight);
+        const width = video.videoWidth * scale;
+        const height = video.videoHeight * scale;
+
+        return {
+            x: (canvas.width - width) / 2,
+            y: (canvas.height - height) / 2,
+            width,
+            height
+        };
+    }
+
+    drawFrame(ctx, video, placement) {
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(video, placement.x, placement.y, placement.width, placement.height);
+    }
+
+    playClip(video, clip, onFrame) {
+        return new Promise((resolve, reject) => {
+            const finish = () => {
+                video.removeEventListener('ended', finish);
+                resolve();
+            };
+
+            const handleFrame = (now, metadata) => {
+                const timeMs = metadata.mediaTime * 1000;
+                if (this.cancelled || timeMs >= clip.end) {
+                    finish();
+                    return;
+                }
+                onFrame(timeMs);
+                video.requestVideoFrameCallback(handleFrame);
+            };
+
+            video.addEventListener('ended', finish);
+            video.requestVideoFrameCallback(handleFrame);
+            video.play().catch(reject);
+        });
+    }
+
+    // Source events inside the clip, moved onto the project timeline and placed on the project frame
+    mergeCursorEvents(clip, offset, placement, canvas) {
+        const recording = this.recordings.get(clip.recordingId);
+        const track = new CursorEventTrack(recording);
+        const heightScale = placement.height / canvas.height;
+        const clipKey = `${clip.recordingId}@${clip.start}`;
+        const length = clip.end - clip.start;
+
+        const merged = track.events
+            .filter(event => event.time >= clip.start && event.time < clip.end)
+            .map(event => {
+                // Each clip is its own stretch of time, even next to another clip of the same recording
+                const result = {
+                    ...event.raw,
+                    recordingId: clip.recordingId,
+                    clipKey,
+                    videoTime: Math.round(offset + event.time - clip.start)
+                };
+
+                if (event.hasPosition) {
+                    result.frameX = (placement.x + event.x * placement.width) / canvas.width;
+                    result.frameY = (placement.y + event.y * placement.height) / canvas.height;
+                    result.pixelScale = event.pixelScale * heightScale;
+                }
+
+                return result;
+            });
+
+        // Sensitive regions are snapshots, so each clip restates what was on screen at its start and
+        // clears it at its end; sources are made per clip so nothing carries over into the next one
+        const before = new Map();
+        const inside = [];
+        track.blurSnapshots.forEach(snapshot => {
+            if (snapshot.time < clip.start) {
+                before.set(snapshot.source, snapshot);
+            } else if (snapshot.time < clip.end) {
+                inside.push(snapshot);
+            }
+        });
+
+        const regionEvents = [];
+        const sources = new Set();
+        [...before.values(), ...inside].forEach(snapshot => {
+            sources.add(snapshot.source);
+            regionEvents.push({
+                ...snapshot.event.raw,
+                recordingId: clip.recordingId,
+                clipKey,
+                source: `${clipKey}:${snapshot.source}`,
+                videoTime: Math.round(offset + Math.max(0, snapshot.time - clip.start)),
+                frameRegions: snapshot.regions.map(region => ({
+                    ...region,
+                    x: (placement.x + region.x * placement.width) / canvas.width,
+                    y: (placement.y + region.y * placement.height) / canvas.height,
+                    width: region.width * placement.width / canvas.width,
+                    height: region.height * placement.height / canvas.height
+                }))
+            });
+        });
+        sources.forEach(source => regionEvents.push({
+            type: 'blur-regions',
+            recordingId: clip.recordingId,
+            clipKey,
+            source: `${clipKey}:${source}`,
+            videoTime: Math.round(offset + length),
+            frameRegions: []
+        }));
+
+        return merged.filter(event => event.type !== 'blur-regions').concat(regionEvents);
+    }
+
+    seek(video, timeMs) {
+        const seeked = HiddenVideo.waitForEvent(video, 'seeked');
+        video.currentTime = timeMs / 1000;
+        return seeked;
+    }
+
+    cancel() {
+        this.cancelled = true;
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.stop();
+        }
+    }
+
+    throwIfCancelled() {
+        if (this.cancelled) {
+            throw new Error('Export cancelled');
+        }
+    }
+
+    cleanup() {
+        this.videos.forEach(video => {
+            video.pause();
+            video.remove();
+        });
+        this.videos.clear();
+
+        this.urls.forEach(url => URL.revokeObjectURL(url));
+        this.urls = [];
+
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+    }
+}
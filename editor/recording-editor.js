@@ -0,0 +1,729 @@
+// Zoom-aware player shown inside the recording modal
+class RecordingEditor {
+    constructor(recording, options = {}) {
+        this.recording = recording;
+        this.videoUrl = null;
+        this.saveTimer = null;
+        this.exporter = null;
+        this.webcamDrag = null;
+        this.suppressClick = false;
+        this.editWatchHandle = null;
+        this.store = options.store || new RecordingStore();
+        this.onExported = options.onExported || (() => {});
+
+        this.track = new CursorEventTrack(recording);
+        this.zoomEngine = new ZoomEngine(this.track);
+
+        // Edited segments win over freshly derived ones
+        const savedSegments = recording.edits && recording.edits.zoomSegments;
+        if (savedSegments) {
+            this.zoomEngine.setSegments(savedSegments);
+        } else {
+            this.zoomEngine.deriveSegments();
+        }
+
+        this.timeline = new ZoomTimeline({
+            onChange: (segments) => this.handleSegmentsChange(segments),
+            onSeek: (timeMs) => this.seek(timeMs / 1000),
+            onAdd: (lengthMs) => this.createManualSegment(lengthMs),
+            onReset: () => this.zoomEngine.deriveSegments()
+        });
+        this.timeline.setDuration(recording.duration || 0);
+        this.timeline.setSegments(this.zoomEngine.segments);
+
+        const edits = recording.edits || {};
+        this.editList = new EditList(recording.duration || 0, edits.editList);
+        this.trimTimeline = new TrimTimeline(this.editList, {
+            onChange: () => this.handleEditListChange(),
+            onSeek: (timeMs) => this.seek(timeMs / 1000),
+            getTime: () => this.video.currentTime * 1000
+        });
+        this.trimTimeline.refresh();
+
+        this.clickOverlay = new ClickOverlay(this.track, edits.clickEffects);
+        this.cursorOverlay = new CursorOverlay(this.track, edits.cursor);
+        this.keystrokeOverlay = new KeystrokeOverlay(this.track, edits.keystrokes);
+        this.blurOverlay = new BlurOverlay(this.track, edits.blur);
+        this.webcamOverlay = new WebcamOverlay(recording, edits.webcam);
+
+        this.element = this.render();
+        this.renderer = this.createRenderer(this.video, this.canvas);
+        this.renderer.zoomEnabled = recording.settings.autoZoom !== false;
+        this.zoomToggle.checked = this.renderer.zoomEnabled;
+
+        this.bindEvents();
+    }
+
+    render() {
+        const container = document.createElement('div');
+        container.className = 'player';
+        container.innerHTML = `
+            <div class="player-stage">
+                <canvas class="player-canvas"></canvas>
+            </div>
+            <div class="player-controls">
+                <button class="player-button" data-role="play">▶️</button>
+                <input class="player-seek" data-role="seek" type="range" min="0" max="1000" value="0">
+                <span class="player-time" data-role="time">0:00 / 0:00</span>
+                <label class="player-toggle">
+                    <input type="checkbox" data-role="zoom"> 🎯 Auto Zoom
+                </label>
+                <select class="player-select" data-role="exportFormat" title="Export format">
+                    <option value="webm">WebM</option>
+                    <option value="mp4">MP4</option>
+                    <option value="gif">GIF</option>
+                    <option value="webp">WebP</option>
+                </select>
+                <button class="player-button" data-role="export">📤 Export</button>
+            </div>
+            <div class="animation-options" data-role="animationOptions" style="display: none;">
+                <label>From <input type="number" data-role="animationStart" min="0" step="0.1"> s</label>
+                <label>to <input type="number" data-role="animationEnd" min="0" step="0.1"> s</label>
+                <label>FPS
+                    <select data-role="animationFps">
+                        <option value="5">5</option>
+                        <option value="10">10</option>
+                        <option value="15" selected>15</option>
+                        <option value="20">20</option>
+                        <option value="25">25</option>
+                    </select>
+                </label>
+                <label>Width
+                    <select data-role="animationWidth">
+                        <option value="320">320px</option>
+                        <option value="480">480px</option>
+                        <option value="640" selected>640px</option>
+                        <option value="800">800px</option>
+                        <option value="0">Original</option>
+                    </select>
+                </label>
+                <label>Quality
+                    <select data-role="animationQuality">
+                        <option value="low">Low</option>
+                        <option value="medium" selected>Medium</option>
+                        <option value="high">High</option>
+                    </select>
+                </label>
+                <label><input type="checkbox" data-role="animationLoop" checked> Loop</label>
+            </div>
+            <div class="export-panel" data-role="exportPanel" style="display: none;">
+                <progress class="export-progress" data-role="exportProgress" max="1" value="0"></progress>
+                <span class="export-status" data-role="exportStatus"></span>
+                <button class="player-button" data-role="exportCancel">✖️ Cancel</button>
+            </div>
+        `;
+
+        // The video element only feeds frames and audio; the canvas is what the user sees
+        this.video = document.createElement('video');
+        this.video.autoplay = true;
+        this.video.playsInline = true;
+        this.video.style.display = 'none';
+        container.appendChild(this.video);
+
+        this.canvas = container.querySelector('.player-canvas');
+        this.playButton = container.querySelector('[data-role="play"]');
+        this.seekInput = container.querySelector('[data-role="seek"]');
+        this.timeLabel = container.querySelector('[data-role="time"]');
+        this.zoomToggle = container.querySelector('[data-role="zoom"]');
+        this.exportButton = container.querySelector('[data-role="export"]');
+        this.exportFormatSelect = container.querySelector('[data-role="exportFormat"]');
+        this.animationOptions = container.querySelector('[data-role="animationOptions"]');
+        this.animationStartInput = container.querySelector('[data-role="animationStart"]');
+        this.animationEndInput = container.querySelector('[data-role="animationEnd"]');
+        this.animationFpsSelect = container.querySelector('[data-role="animationFps"]');
+        this.animationWidthSelect = container.querySelector('[data-role="animationWidth"]');
+        this.animationQualitySelect = container.querySelector('[data-role="animationQuality"]');
+        this.animationLoopToggle = container.querySelector('[data-role="animationLoop"]');
+        this.exportPanel = container.querySelector('[data-role="exportPanel"]');
+        this.exportProgress = container.querySelector('[data-role="exportProgress"]');
+        this.exportStatus = container.querySelector('[data-role="exportStatus"]');
+        this.exportCancelButton = container.querySelector('[data-role="exportCancel"]');
+
+        container.appendChild(this.trimTimeline.element);
+        container.appendChild(this.timeline.element);
+        container.appendChild(this.renderEffectsPanel());
+
+        return container;
+    }
+
+    renderEffectsPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'effects-panel';
+
+        const onChange = () => {
+            this.renderer.redraw();
+            this.scheduleSave();
+        };
+
+        panel.appendChild(this.clickOverlay.renderSettings(onChange));
+        panel.appendChild(this.cursorOverlay.renderSettings(onChange));
+
+        if (this.track.keystrokes.length > 0) {
+            panel.appendChild(this.keystrokeOverlay.renderSettings(onChange));
+        }
+
+        panel.appendChild(this.blurOverlay.renderSettings(onChange, {
+            getTime: () => this.video.currentTime * 1000,
+            onSeek: (timeMs) => this.seek(timeMs / 1000)
+        }));
+
+        if (this.webcamOverlay.info) {
+            panel.appendChild(this.webcamOverlay.renderSettings(onChange, {
+                getTime: () => this.video.currentTime * 1000,
+                onSeek: (timeMs) => this.seek(timeMs / 1000)
+            }));
+        }
+
+        return panel;
+    }
+
+    // Used for both the live preview and exports so they always match
+    createRenderer(video, canvas) {
+        // Blurring comes first so it only ever touches the recorded pixels, never the effects
+        const layers = [this.blurOverlay, this.cursorOverlay, this.clickOverlay];
+        if (this.webcamOverlay.info) {
+            // Only the on-screen preview shows the resize handle
+            layers.push(this.webcamOverlay.createLayer(video, { interactive: video === this.video }));
+        }
+        // Keys stay readable on top of everything else
+        layers.push(this.keystrokeOverlay);
+        const renderer = new PlaybackRenderer(video, canvas, this.zoomEngine, layers);
+        renderer.zoomEnabled = this.renderer ? this.renderer.zoomEnabled : true;
+        return renderer;
+    }
+
+    bindEvents() {
+        this.playButton.addEventListener('click', () => this.togglePlayback());
+        this.canvas.addEventListener('click', () => {
+            // The click that ends a webcam drag shouldn't also toggle playback
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                return;
+            }
+            this.togglePlayback();
+        });
+
+        this.canvas.addEventListener('pointerdown', (event) => this.handleWebcamPointerDown(event));
+        this.canvas.addEventListener('pointermove', (event) => this.handleWebcamPointerMove(event));
+        this.canvas.addEventListener('pointerup', (event) => this.handleWebcamPointerUp(event));
+
+        this.seekInput.addEventListener('input', () => {
+            // The seek bar covers the edited video, not the raw recording
+            const outputMs = this.seekInput.value / 1000 * this.editList.outputDuration;
+            this.seek(this.editList.toSourceTime(outputMs) / 1000);
+        });
+
+        this.zoomToggle.addEventListener('change', () => {
+            this.renderer.setZoomEnabled(this.zoomToggle.checked);
+        });
+
+        this.exportButton.addEventListener('click', () => {
+            if (ANIMATION_FORMATS[this.exportFormatSelect.value]) {
+                this.exportAnimation();
+            } else {
+                this.exportVideo();
+            }
+        });
+        this.exportFormatSelect.addEventListener('change', () => this.updateAnimationOptions());
+        this.exportCancelButton.addEventListener('click', () => {
+            if (this.exporter) {
+                this.exporter.cancel();
+            }
+        });
+
+        this.video.addEventListener('play', () => {
+            this.playButton.textContent = '⏸️';
+            // Playing from the end of the edit (or a trimmed-off tail) starts over from the first kept frame
+            if (this.editList.nextKeptTime(this.video.currentTime * 1000) === null) {
+                this.video.currentTime = this.editList.toSourceTime(0) / 1000;
+            }
+            this.watchEditList();
+            this.renderer.start();
+        });
+
+        this.video.addEventListener('pause', () => {
+            this.playButton.textContent = '▶️';
+            this.renderer.stop();
+            this.renderer.redraw();
+        });
+
+        this.video.addEventListener('ended', () => {
+            this.playButton.textContent = '▶️';
+        });
+
+        this.video.addEventListener('timeupdate', () => this.updateProgress());
+        this.video.addEventListener('seeked', () => {
+            this.renderer.redraw();
+            this.updateProgress();
+        });
+        this.video.addEventListener('loadeddata', () => {
+            this.renderer.redraw();
+        });
+        this.video.addEventListener('durationchange', () => {
+            this.timeline.setDuration(this.getDuration() * 1000);
+            this.editList.setDuration(this.getDuration() * 1000);
+            this.trimTimeline.refresh();
+        });
+    }
+
+    // Canvas pixel under the pointer, allowing for the letterboxing of object-fit: contain
+    getCanvasPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const scale = Math.min(rect.width / this.canvas.width, rect.height / this.canvas.height);
+        const offsetX = (rect.width - this.canvas.width * scale) / 2;
+        const offsetY = (rect.height - this.canvas.height * scale) / 2;
+
+        return {
+            x: (event.clientX - rect.left - offsetX) / scale,
+            y: (event.clientY - rect.top - offsetY) / scale
+        };
+    }
+
+    hitTestWebcam(event) {
+        if (!this.webcamOverlay.available || !this.webcamOverlay.settings.enabled) {
+            return null;
+        }
+
+        const point = this.getCanvasPoint(event);
+        const mode = this.webcamOverlay.hitTest(point, this.video.currentTime * 1000, this.canvas.width, this.canvas.height);
+        return mode ? { mode, point } : null;
+    }
+
+    handleWebcamPointerDown(event) {
+        const hit = this.hitTestWebcam(event);
+        if (!hit) {
+            return;
+        }
+
+        const time = this.video.currentTime * 1000;
+        this.webcamDrag = {
+            mode: hit.mode,
+            time,
+            start: hit.point,
+            state: this.webcamOverlay.stateAt(time),
+            moved: false
+        };
+        this.canvas.setPointerCapture(event.pointerId);
+    }
+
+    // Dragging moves or resizes the bubble by keyframing it at the current time
+    handleWebcamPointerMove(event) {
+        const drag = this.webcamDrag;
+        if (!drag) {
+            const hit = this.hitTestWebcam(event);
+            this.canvas.style.cursor = hit ? (hit.mode === 'resize' ? 'nwse-resize' : 'move') : '';
+            return;
+        }
+
+        const point = this.getCanvasPoint(event);
+        const dx = point.x - drag.start.x;
+        const dy = point.y - drag.start.y;
+
+        if (!drag.moved) {
+            drag.moved = true;
+            this.video.pause();
+        }
+
+        if (drag.mode === 'resize') {
+            // The bubble grows around its center, so the corner covers half the change
+            const delta = 2 * Math.max(dx, dy) / this.canvas.height;
+            this.webcamOverlay.setKeyframe(drag.time, {
+                size: this.webcamOverlay.clampSize(drag.state.size + delta)
+            });
+        } else {
+            this.webcamOverlay.setKeyframe(drag.time, {
+                x: Math.min(1, Math.max(0, drag.state.x + dx / this.canvas.width)),
+                y: Math.min(1, Math.max(0, drag.state.y + dy / this.canvas.height))
+            });
+        }
+
+        this.renderer.redraw();
+    }
+
+    handleWebcamPointerUp(event) {
+        const drag = this.webcamDrag;
+        if (!drag) {
+            return;
+        }
+
+        this.webcamDrag = null;
+        this.canvas.releasePointerCapture(event.pointerId);
+
+        if (drag.moved) {
+            this.suppressClick = true;
+            this.scheduleSave();
+        }
+    }
+
+    handleEditListChange() {
+        const time = this.video.currentTime * 1000;
+        const next = this.editList.nextKeptTime(time);
+        if (next !== time) {
+            this.seek((next === null ? this.editList.trimEnd : next) / 1000);
+        }
+        this.updateProgress();
+        this.scheduleSave();
+    }
+
+    // Skips cut ranges while playing and stops at the end of the edit
+    watchEditList() {
+        if (this.editWatchHandle !== null) {
+            this.video.cancelVideoFrameCallback(this.editWatchHandle);
+        }
+
+        const check = (now, metadata) => {
+            this.editWatchHandle = null;
+            if (this.video.paused) {
+                return;
+            }
+
+            const time = metadata.mediaTime * 1000;
+            const next = this.editList.nextKeptTime(time);
+            if (next === null) {
+                this.video.pause();
+                this.video.currentTime = this.editList.trimEnd / 1000;
+                return;
+            }
+            if (next > time + 1) {
+                this.video.currentTime = next / 1000;
+            }
+
+            this.editWatchHandle = this.video.requestVideoFrameCallback(check);
+        };
+
+        this.editWatchHandle = this.video.requestVideoFrameCallback(check);
+    }
+
+    handleSegmentsChange(segments) {
+        this.zoomEngine.setSegments(segments);
+        this.renderer.redraw();
+        this.scheduleSave();
+    }
+
+    createManualSegment(lengthMs) {
+        const duration = this.getDuration() * 1000;
+        const start = Math.max(0, Math.min(this.video.currentTime * 1000, duration - lengthMs));
+        const focus = this.track.positionAt(start);
+
+        return {
+            id: `zoom_manual_${Date.now()}`,
+            start: Math.round(start),
+            end: Math.round(Math.min(duration, start + lengthMs)),
+            x: focus.x,
+            y: focus.y,
+            scale: ZOOM_DEFAULTS.scale,
+            easing: ZOOM_DEFAULTS.easing,
+            source: 'manual'
+        };
+    }
+
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveEdits(), 500);
+    }
+
+    async saveEdits() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        this.recording.edits = {
+            ...(this.recording.edits || {}),
+            zoomSegments: this.zoomEngine.segments,
+            editList: this.editList.toJSON(),
+            clickEffects: this.clickOverlay.settings,
+            cursor: this.cursorOverlay.settings,
+            keystrokes: this.keystrokeOverlay.settings,
+            blur: this.blurOverlay.settings,
+            webcam: this.webcamOverlay.settings,
+            updatedAt: Date.now()
+        };
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'SAVE_RECORDING_EDITS',
+                data: { recordingId: this.recording.id, edits: this.recording.edits }
+            });
+
+            if (!response.success) {
+                console.error('Error saving edits:', response.error);
+            }
+        } catch (error) {
+            console.error('Error saving edits:', error);
+        }
+    }
+
+    async exportVideo() {
+        if (this.exporter || !this.videoUrl) {
+            return;
+        }
+
+        const format = this.exportFormatSelect.value;
+        if (format === 'mp4' && !Mp4Exporter.isSupported()) {
+            this.exportPanel.style.display = 'flex';
+            this.exportStatus.textContent = 'MP4 export needs WebCodecs, which this browser lacks';
+            return;
+        }
+
+        const encoding = this.recording.encoding || {};
+
+        this.video.pause();
+        this.exportButton.disabled = true;
+        this.exportFormatSelect.disabled = true;
+        this.exportCancelButton.disabled = false;
+        this.exportPanel.style.display = 'flex';
+        this.setExportProgress(0);
+
+        // With nothing drawn over it, an MP4 is made from the recording itself: H.264 is copied as-is
+        // and anything else is encoded once, instead of after a real-time re-render
+        const fromSource = format === 'mp4' && !this.hasRenderedEdits();
+        this.exporter = fromSource ? null : new VideoExporter({
+            sourceUrl: this.videoUrl,
+            createRenderer: (video, canvas) => this.createRenderer(video, canvas),
+            durationMs: this.getDuration() * 1000,
+            videoBitsPerSecond: encoding.videoBitsPerSecond,
+            mimeTypes: format === 'mp4' ? MP4_EXPORT_MIME_TYPES : EXPORT_MIME_TYPES,
+            editList: this.editList.isEmpty ? null : this.editList,
+            onProgress: (progress) => this.setExportProgress(progress)
+        });
+
+        try {
+            const result = fromSource ? await this.getSourceExport() : await this.exporter.run();
+
+            if (format === 'mp4' && result.mimeType !== 'video/mp4') {
+                this.exporter = new Mp4Exporter({
+                    onProgress: (progress) => this.setExportProgress(progress, 'Converting to MP4')
+                });
+                this.setExportProgress(0, 'Converting to MP4');
+                result.blob = await this.exporter.convert(result.blob, {
+                    videoBitsPerSecond: encoding.videoBitsPerSecond
+                });
+                result.mimeType = 'video/mp4';
+            }
+
+            this.exportCancelButton.disabled = true;
+            this.exportStatus.textContent = 'Saving export...';
+
+            const exportId = `recording_${Date.now()}`;
+            await this.store.putBlob(exportId, result.blob);
+
+            const response = await chrome.runtime.sendMessage({
+                action: 'SAVE_EXPORTED_RECORDING',
+                data: {
+                    recordingId: exportId,
+                    sourceRecordingId: this.recording.id,
+                    size: result.blob.size,
+                    duration: result.duration,
+                    mimeType: result.mimeType,
+                    // Cursor positions only still line up with frames that weren't zoomed
+                    cursorEvents: this.renderer.zoomEnabled ? [] : this.track.retimeEvents(this.editList)
+                }
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to save export');
+            }
+
+            this.exportStatus.textContent = '✅ Saved as a new recording';
+            this.onExported(response.recordingId);
+        } catch (error) {
+            console.error('Error exporting recording:', error);
+            this.exportStatus.textContent = this.exporter && this.exporter.cancelled ?
+                'Export cancelled' : `Export failed: ${error.message}`;
+        } finally {
+            this.exporter = null;
+            this.exportButton.disabled = false;
+            this.exportFormatSelect.disabled = false;
+            this.exportCancelButton.disabled = true;
+        }
+    }
+
+    // Whether the export would differ from the recording: zoom, any overlay, or trims and cuts
+    hasRenderedEdits() {
+        const zoomed = this.renderer.zoomEnabled && this.zoomEngine.segments.length > 0;
+        return zoomed || !this.editList.isEmpty || this.renderer.layers.some(layer => layer.enabled);
+    }
+
+    async getSourceExport() {
+        const blob = await this.store.getRecordingBlob(this.recording);
+        if (!blob) {
+            throw new Error('Recording video not found');
+        }
+
+        return {
+            blob,
+            mimeType: (blob.type || this.recording.mimeType || 'video/webm').split(';')[0],
+            duration: Math.round(this.getDuration() * 1000)
+        };
+    }
+
+    // Animated formats are for short clips, so default to a few seconds from the playhead
+    updateAnimationOptions() {
+        const isAnimation = Boolean(ANIMATION_FORMATS[this.exportFormatSelect.value]);
+        const wasVisible = this.animationOptions.style.display !== 'none';
+        this.animationOptions.style.display = isAnimation ? 'flex' : 'none';
+
+        // The range is in edited time, like the seek bar
+        if (isAnimation && !wasVisible) {
+            const duration = this.editList.outputDuration / 1000;
+            const current = this.editList.toOutputTime(this.video.currentTime * 1000) / 1000;
+            const start = Math.min(current, Math.max(0, duration - 1));
+            this.animationStartInput.value = start.toFixed(1);
+            this.animationEndInput.value = Math.min(duration, start + 5).toFixed(1);
+        }
+    }
+
+    async exportAnimation() {
+        if (this.exporter || !this.videoUrl) {
+            return;
+        }
+
+        const format = this.exportFormatSelect.value;
+
+        this.video.pause();
+        this.exportButton.disabled = true;
+        this.exportFormatSelect.disabled = true;
+        this.exportCancelButton.disabled = false;
+        this.exportPanel.style.display = 'flex';
+        this.setExportProgress(0);
+
+        this.exporter = new AnimationExporter({
+            sourceUrl: this.videoUrl,
+            createRenderer: (video, canvas) => this.createRenderer(video, canvas),
+            format,
+            startMs: parseFloat(this.animationStartInput.value) * 1000,
+            endMs: parseFloat(this.animationEndInput.value) * 1000,
+            fps: parseInt(this.animationFpsSelect.value, 10),
+            width: parseInt(this.animationWidthSelect.value, 10),
+            quality: this.animationQualitySelect.value,
+            loop: this.animationLoopToggle.checked,
+            editList: this.editList.isEmpty ? null : this.editList,
+            onProgress: (progress) => this.setExportProgress(progress, `Encoding ${ANIMATION_FORMATS[format].label}`)
+        });
+
+        try {
+            const result = await this.exporter.run();
+            const start = this.animationStartInput.value.replace('.', '_');
+            const end = this.animationEndInput.value.replace('.', '_');
+            const stamp = new Date(this.recording.timestamp).toISOString().slice(0, 19).replace(/[:.]/g, '-');
+
+            // Clips go straight to a file for pasting elsewhere rather than into the library
+            this.downloadBlob(result.blob, `cursorflow_${stamp}_${start}-${end}s.${result.extension}`);
+            this.exportStatus.textContent = `✅ ${result.width}×${result.height} ${ANIMATION_FORMATS[format].label}, ${this.formatSize(result.blob.size)}`;
+        } catch (error) {
+            console.error('Error exporting animation:', error);
+            this.exportStatus.textContent = this.exporter.cancelled ?
+                'Export cancelled' : `Export failed: ${error.message}`;
+        } finally {
+            this.exporter = null;
+            this.exportButton.disabled = false;
+            this.exportFormatSelect.disabled = false;
+            this.exportCancelButton.disabled = true;
+        }
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        // The download has its own copy once started
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+
+    formatSize(bytes) {
+        return bytes >= 1024 * 1024
+            ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+            : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+
+    setExportProgress(progress, label = 'Rendering') {
+        this.exportProgress.value = progress;
+        this.exportStatus.textContent = `${label}... ${Math.round(progress * 100)}%`;
+    }
+
+    async load() {
+        try {
+            const blob = await this.store.getRecordingBlob(this.recording);
+            if (!blob) {
+                throw new Error('Recording video not found');
+            }
+            this.videoUrl = URL.createObjectURL(blob);
+            this.video.src = this.videoUrl;
+
+            if (this.webcamOverlay.info) {
+                await this.webcamOverlay.load(this.store);
+                this.renderer.redraw();
+            }
+        } catch (error) {
+            console.error('Error creating video blob:', error);
+            this.element.querySelector('.player-stage').innerHTML =
+                '<p style="color: white; text-align: center; padding: 20px;">Error loading video</p>';
+        }
+    }
+
+    togglePlayback() {
+        if (this.video.paused) {
+            this.video.play().catch(error => console.error('Error playing video:', error));
+        } else {
+            this.video.pause();
+        }
+    }
+
+    seek(seconds) {
+        this.video.currentTime = Math.max(0, Math.min(seconds, this.getDuration()));
+    }
+
+    // MediaRecorder WebM files often report an infinite duration until fully read
+    getDuration() {
+        if (Number.isFinite(this.video.duration)) {
+            return this.video.duration;
+        }
+        return (this.recording.duration || 0) / 1000;
+    }
+
+    // The timelines show the raw recording; the seek bar and clock show the edited video
+    updateProgress() {
+        const current = this.video.currentTime;
+        const outputDuration = this.editList.outputDuration / 1000;
+        const outputTime = this.editList.toOutputTime(current * 1000) / 1000;
+
+        this.seekInput.value = outputDuration > 0 ? Math.round(outputTime / outputDuration * 1000) : 0;
+        this.timeline.setTime(current * 1000);
+        this.trimTimeline.setTime(current * 1000);
+        this.webcamOverlay.updateControls(current * 1000);
+        this.timeLabel.textContent = `${this.formatTime(outputTime)} / ${this.formatTime(outputDuration)}`;
+    }
+
+    formatTime(seconds) {
+        const total = Math.floor(seconds);
+        const minutes = Math.floor(total / 60);
+        return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    destroy() {
+        if (this.saveTimer) {
+            this.saveEdits();
+        }
+
+        if (this.exporter) {
+            this.exporter.cancel();
+        }
+
+        if (this.editWatchHandle !== null) {
+            this.video.cancelVideoFrameCallback(this.editWatchHandle);
+            this.editWatchHandle = null;
+        }
+
+        this.renderer.destroy();
+        this.webcamOverlay.release();
+        this.video.pause();
+        this.video.removeAttribute('src');
+        this.video.load();
+
+        if (this.videoUrl) {
+            URL.revokeObjectURL(this.videoUrl);
+            this.videoUrl = null;
+        }
+    }
+}
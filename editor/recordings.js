@@ -1,12 +1,16 @@
 class RecordingsManager {
     constructor() {
         this.recordings = [];
+        this.activeEditor = null;
+        this.selectedIds = new Set();
+        this.store = new RecordingStore();
         this.init();
     }
 
     async init() {
         await this.loadRecordings();
         this.updateStats();
+        this.updateStorageStatus();
         this.hideLoading();
 
         // Bind event listeners
@@ -23,6 +27,36 @@ class RecordingsManager {
             debugBtn.addEventListener('click', () => this.debugStorage());
         }
 
+        // Storage settings
+        const storageSettingsBtn = document.getElementById('storageSettingsBtn');
+        if (storageSettingsBtn) {
+            storageSettingsBtn.addEventListener('click', () => this.toggleStorageSettings());
+        }
+
+        const storageSettings = document.getElementById('storageSettings');
+        if (storageSettings) {
+            storageSettings.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.saveStorageSettings();
+            });
+        }
+
+        const cleanupBtn = document.getElementById('cleanupBtn');
+        if (cleanupBtn) {
+            cleanupBtn.addEventListener('click', () => this.cleanupStorage());
+        }
+
+        // Project selection
+        const createProjectBtn = document.getElementById('createProjectBtn');
+        if (createProjectBtn) {
+            createProjectBtn.addEventListener('click', () => this.openProject());
+        }
+
+        const clearSelectionBtn = document.getElementById('clearSelectionBtn');
+        if (clearSelectionBtn) {
+            clearSelectionBtn.addEventListener('click', () => this.clearSelection());
+        }
+
         // Modal close button
         const closeModal = document.getElementById('closeModal');
         if (closeModal) {
@@ -42,6 +76,11 @@ class RecordingsManager {
 
     closeModal() {
         document.getElementById('recordingModal').style.display = 'none';
+
+        if (this.activeEditor) {
+            this.activeEditor.destroy();
+            this.activeEditor = null;
+        }
     }
 
     checkForAutoOpen() {
@@ -52,7 +91,7 @@ class RecordingsManager {
             console.log('Auto-opening recording:', recordingId);
             // Auto-open the recording modal after a short delay
             setTimeout(() => {
-                viewRecording(recordingId);
+                this.viewRecording(recordingId);
             }, 500);
         }
     }
@@ -100,20 +139,111 @@ class RecordingsManager {
         }
     }
 
+    async refreshLibrary() {
+        await this.loadRecordings();
+        this.updateStats();
+        this.updateStorageStatus();
+    }
+
     async renderRecordings() {
         const grid = document.getElementById('recordingsGrid');
         grid.innerHTML = '';
         grid.style.display = 'grid';
 
+        // Drop selections whose recordings are gone
+        const ids = new Set(this.recordings.map(recording => recording.id));
+        this.selectedIds.forEach(id => {
+            if (!ids.has(id)) {
+                this.selectedIds.delete(id);
+            }
+        });
+
         for (const recording of this.recordings) {
             const card = await this.createRecordingCard(recording);
             grid.appendChild(card);
         }
+
+        this.updateProjectBar();
+    }
+
+    toggleSelection(recordingId, selected) {
+        if (selected) {
+            this.selectedIds.add(recordingId);
+        } else {
+            this.selectedIds.delete(recordingId);
+        }
+        this.updateProjectBar();
+    }
+
+    clearSelection() {
+        this.selectedIds.clear();
+        document.querySelectorAll('.recording-card.selected').forEach(card => {
+            card.classList.remove('selected');
+            card.querySelector('[data-action="select"]').checked = false;
+        });
+        this.updateProjectBar();
+    }
+
+    updateProjectBar() {
+        const bar = document.getElementById('projectBar');
+        const count = this.selectedIds.size;
+
+        bar.style.display = count > 0 ? 'flex' : 'none';
+        document.getElementById('projectBarCount').textContent =
+            `${count} selected · pick recordings in the order they should play`;
+    }
+
+    // Selected recordings in the order they were picked become the project's starting clips
+    async openProject() {
+        const keys = [...this.selectedIds].map(id => `recording_${id}`);
+
+        try {
+            const result = await chrome.storage.local.get(keys);
+            const recordings = keys
+                .map(key => result[key])
+                .filter(recording => recording && this.store.hasVideo(recording));
+
+            if (recordings.length === 0) {
+                alert('None of the selected recordings have video data');
+                return;
+            }
+
+            this.showProjectModal(recordings);
+        } catch (error) {
+            console.error('Error opening project:', error);
+            alert('Error loading recordings for the project');
+        }
+    }
+
+    showProjectModal(recordings) {
+        const modal = document.getElementById('recordingModal');
+        const modalContent = document.getElementById('modalContent');
+
+        document.getElementById('modalTitle').textContent = '🎞️ New Project';
+
+        if (this.activeEditor) {
+            this.activeEditor.destroy();
+            this.activeEditor = null;
+        }
+        modalContent.innerHTML = '';
+
+        this.activeEditor = new ProjectEditor(recordings, {
+            store: this.store,
+            onExported: () => {
+                this.selectedIds.clear();
+                this.refreshLibrary();
+            }
+        });
+        this.activeEditor.element.style.marginBottom = '20px';
+        modalContent.appendChild(this.activeEditor.element);
+
+        modal.style.display = 'block';
     }
 
     async createRecordingCard(recording) {
         const card = document.createElement('div');
         card.className = 'recording-card';
+        card.classList.toggle('selected', this.selectedIds.has(recording.id));
 
         const date = new Date(recording.timestamp);
         const formattedDate = date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
@@ -122,7 +252,10 @@ class RecordingsManager {
 
         card.innerHTML = `
             <div class="recording-header">
-                <div class="recording-title">Recording ${recording.id.split('_')[1]}</div>
+                <label class="recording-select" title="Select for a project">
+                    <input type="checkbox" data-action="select" ${this.selectedIds.has(recording.id) ? 'checked' : ''}>
+                    <span class="recording-title">${recording.project ? 'Project' : 'Recording'} ${recording.id.split('_')[1]}</span>
+                </label>
                 <div class="recording-date">${formattedDate}</div>
             </div>
             
@@ -143,6 +276,16 @@ class RecordingsManager {
                     <span class="info-label">FPS:</span>
                     <span>${recording.settings.fps}</span>
                 </div>
+                ${recording.sourceRecordingId ? `
+                <div class="info-row">
+                    <span class="info-label">Exported from:</span>
+                    <span>Recording ${recording.sourceRecordingId.split('_')[1]}</span>
+                </div>` : ''}
+                ${recording.project ? `
+                <div class="info-row">
+                    <span class="info-label">Clips:</span>
+                    <span>${recording.project.clipCount} from ${recording.project.sourceCount} recording${recording.project.sourceCount === 1 ? '' : 's'}</span>
+                </div>` : ''}
             </div>
 
             <div class="recording-preview" id="preview_${recording.id}">
@@ -166,7 +309,12 @@ class RecordingsManager {
         const viewBtn = card.querySelector('[data-action="view"]');
         const downloadBtn = card.querySelector('[data-action="download"]');
         const deleteBtn = card.querySelector('[data-action="delete"]');
+        const selectBox = card.querySelector('[data-action="select"]');
 
+        selectBox.addEventListener('change', () => {
+            card.classList.toggle('selected', selectBox.checked);
+            this.toggleSelection(recording.id, selectBox.checked);
+        });
         viewBtn.addEventListener('click', () => this.viewRecording(recording.id));
         downloadBtn.addEventListener('click', () => this.downloadRecording(recording.id));
         deleteBtn.addEventListener('click', () => this.deleteRecording(recording.id));
@@ -205,35 +353,22 @@ class RecordingsManager {
         modalTitle.textContent = `🎬 Recording from ${date.toLocaleDateString()} - ${date.toLocaleTimeString()}`;
 
         // Clear modal content
+        if (this.activeEditor) {
+            this.activeEditor.destroy();
+            this.activeEditor = null;
+        }
         modalContent.innerHTML = '';
 
         // Check if we have video data
-        if (recording.videoData && recording.size > 0) {
-            // Create video player
-            const videoContainer = document.createElement('div');
-            videoContainer.style.marginBottom = '20px';
-
-            const video = document.createElement('video');
-            video.controls = true;
-            video.autoplay = true;
-            video.style.width = '100%';
-            video.style.maxHeight = '400px';
-            video.style.borderRadius = '8px';
-            video.style.background = '#000';
-
-            // Convert base64 to blob URL
-            fetch(recording.videoData)
-                .then(response => response.blob())
-                .then(blob => {
-                    video.src = URL.createObjectURL(blob);
-                })
-                .catch(err => {
-                    console.error('Error creating video blob:', err);
-                    video.innerHTML = '<p style="color: white; text-align: center; padding: 20px;">Error loading video</p>';
-                });
-
-            videoContainer.appendChild(video);
-            modalContent.appendChild(videoContainer);
+        if (this.store.hasVideo(recording)) {
+            // Create zoom-aware player
+            this.activeEditor = new RecordingEditor(recording, {
+                store: this.store,
+                onExported: () => this.refreshLibrary()
+            });
+            this.activeEditor.element.style.marginBottom = '20px';
+            modalContent.appendChild(this.activeEditor.element);
+            this.activeEditor.load();
         } else {
             // Show error message for recordings without video data
             const errorContainer = document.createElement('div');
@@ -257,7 +392,7 @@ class RecordingsManager {
         actionButtons.style.gap = '12px';
         actionButtons.style.marginBottom = '20px';
 
-        if (recording.videoData && recording.size > 0) {
+        if (this.store.hasVideo(recording)) {
             const downloadBtn = document.createElement('button');
             downloadBtn.className = 'btn btn-success';
             downloadBtn.textContent = '⬇️ Download Recording';
@@ -359,12 +494,13 @@ class RecordingsManager {
             const result = await chrome.storage.local.get([`recording_${recordingId}`]);
             const recording = result[`recording_${recordingId}`];
 
-            if (recording && recording.videoData) {
+            if (recording && this.store.hasVideo(recording)) {
                 const previewContainer = document.getElementById(`preview_${recordingId}`);
 
-                // Convert base64 to blob
-                const response = await fetch(recording.videoData);
-                const blob = await response.blob();
+                const blob = await this.store.getRecordingBlob(recording);
+                if (!blob) {
+                    return;
+                }
                 const videoUrl = URL.createObjectURL(blob);
 
                 const video = document.createElement('video');
@@ -400,6 +536,90 @@ class RecordingsManager {
             lastRecording ? this.formatRelativeTime(lastRecording) : 'Never';
     }
 
+    async updateStorageStatus() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'GET_STORAGE_STATUS' });
+            if (response.success) {
+                this.renderStorageStatus(response.status);
+            }
+        } catch (error) {
+            console.error('Error loading storage status:', error);
+        }
+    }
+
+    renderStorageStatus(status) {
+        const percent = status.quotaBytes > 0 ? Math.min(100, status.usedBytes / status.quotaBytes * 100) : 0;
+
+        document.getElementById('storageUsage').textContent =
+            `${this.formatSize(status.usedBytes)} of ${this.formatSize(status.quotaBytes)} used`;
+
+        const fill = document.getElementById('storageBarFill');
+        fill.style.width = `${percent}%`;
+        fill.classList.toggle('low', status.lowSpace);
+
+        const warning = document.getElementById('storageWarning');
+        warning.style.display = status.lowSpace ? 'block' : 'none';
+        warning.textContent = `⚠️ Only ${this.formatSize(status.availableBytes)} left. Delete old recordings or raise the quota.`;
+
+        const form = document.getElementById('storageSettings');
+        const settings = status.settings;
+        form.elements.quotaGb.value = +(settings.quotaBytes / (1024 * 1024 * 1024)).toFixed(2);
+        form.elements.maxCount.value = settings.maxCount;
+        form.elements.maxAgeDays.value = settings.maxAgeDays;
+        form.elements.maxTotalGb.value = +(settings.maxTotalBytes / (1024 * 1024 * 1024)).toFixed(2);
+    }
+
+    toggleStorageSettings() {
+        const form = document.getElementById('storageSettings');
+        form.style.display = form.style.display === 'none' ? 'flex' : 'none';
+    }
+
+    async saveStorageSettings() {
+        const form = document.getElementById('storageSettings');
+        const gigabyte = 1024 * 1024 * 1024;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'SAVE_STORAGE_SETTINGS',
+                data: {
+                    quotaBytes: Math.round(parseFloat(form.elements.quotaGb.value) * gigabyte),
+                    maxCount: parseInt(form.elements.maxCount.value) || 0,
+                    maxAgeDays: parseFloat(form.elements.maxAgeDays.value) || 0,
+                    maxTotalBytes: Math.round((parseFloat(form.elements.maxTotalGb.value) || 0) * gigabyte)
+                }
+            });
+
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            if (response.removedIds.length > 0) {
+                await this.refreshLibrary();
+            } else {
+                this.renderStorageStatus(response.status);
+            }
+        } catch (error) {
+            console.error('Error saving storage settings:', error);
+            alert('Error saving storage settings');
+        }
+    }
+
+    async cleanupStorage() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'CLEANUP_STORAGE' });
+
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            await this.refreshLibrary();
+            alert(`Cleanup finished: removed ${response.orphans.entries + response.orphans.chunkSets} orphaned items and ${response.removedIds.length} recordings.`);
+        } catch (error) {
+            console.error('Error cleaning up storage:', error);
+            alert('Error cleaning up storage');
+        }
+    }
+
     formatDuration(ms) {
         const seconds = Math.floor(ms / 1000);
         const minutes = Math.floor(seconds / 60);
@@ -448,6 +668,8 @@ class RecordingsManager {
     showEmptyState() {
         document.getElementById('emptyState').style.display = 'block';
         document.getElementById('recordingsGrid').style.display = 'none';
+        this.selectedIds.clear();
+        this.updateProjectBar();
     }
 
     hideLoading() {
@@ -601,6 +823,10 @@ function showRecordingModal(recording) {
 }
 
 function closeModal() {
+    if (recordingsManager) {
+        recordingsManager.closeModal();
+        return;
+    }
     document.getElementById('recordingModal').style.display = 'none';
 }
 
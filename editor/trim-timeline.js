@@ -0,0 +1,260 @@
+// Timeline strip for trimming the ends of a recording and cutting out parts of the middle
+const NEW_CUT_MS = 2000;
+
+class TrimTimeline {
+    constructor(editList, options) {
+        this.editList = editList;
+        this.selectedIndex = -1;
+        this.dragState = null;
+
+        this.onChange = options.onChange || (() => {});
+        this.onSeek = options.onSeek || (() => {});
+        this.getTime = options.getTime || (() => 0);
+
+        this.element = this.render();
+        this.bindEvents();
+    }
+
+    get duration() {
+        return this.editList.duration;
+    }
+
+    render() {
+        const container = document.createElement('div');
+        container.className = 'zoom-timeline trim-timeline';
+        container.innerHTML = `
+            <div class="zoom-timeline-header">
+                <strong>✂️ Trim &amp; Cut</strong>
+                <div class="zoom-timeline-actions">
+                    <button class="player-button" data-role="trimStart">⇤ Trim Start Here</button>
+                    <button class="player-button" data-role="trimEnd">Trim End Here ⇥</button>
+                    <button class="player-button" data-role="cut">✂️ Cut Here</button>
+                    <button class="player-button" data-role="reset">↺ Reset</button>
+                </div>
+            </div>
+            <div class="zoom-track trim-track" data-role="track">
+                <div class="trim-outside" data-role="outsideStart"></div>
+                <div class="trim-outside" data-role="outsideEnd"></div>
+                <div class="trim-handle" data-handle="trimStart" title="Drag to trim the start"></div>
+                <div class="trim-handle" data-handle="trimEnd" title="Drag to trim the end"></div>
+                <div class="zoom-playhead" data-role="playhead"></div>
+            </div>
+            <div class="zoom-segment-panel" data-role="panel"></div>
+        `;
+
+        this.track = container.querySelector('[data-role="track"]');
+        this.playhead = container.querySelector('[data-role="playhead"]');
+        this.panel = container.querySelector('[data-role="panel"]');
+        this.outsideStart = container.querySelector('[data-role="outsideStart"]');
+        this.outsideEnd = container.querySelector('[data-role="outsideEnd"]');
+        this.startHandle = container.querySelector('[data-handle="trimStart"]');
+        this.endHandle = container.querySelector('[data-handle="trimEnd"]');
+
+        return container;
+    }
+
+    bindEvents() {
+        const buttons = this.element;
+
+        buttons.querySelector('[data-role="trimStart"]').addEventListener('click', () => {
+            this.editList.setTrim(this.getTime(), this.editList.trimEnd);
+            this.commit();
+        });
+
+        buttons.querySelector('[data-role="trimEnd"]').addEventListener('click', () => {
+            this.editList.setTrim(this.editList.trimStart, this.getTime());
+            this.commit();
+        });
+
+        buttons.querySelector('[data-role="cut"]').addEventListener('click', () => {
+            const start = Math.min(this.getTime(), Math.max(0, this.duration - NEW_CUT_MS));
+            this.editList.addCut(start, Math.min(this.duration, start + NEW_CUT_MS));
+            this.selectedIndex = this.editList.cuts.findIndex(cut => cut.start <= start && cut.end > start);
+            this.commit();
+        });
+
+        buttons.querySelector('[data-role="reset"]').addEventListener('click', () => {
+            if (!confirm('Remove the trim and all cuts?')) {
+                return;
+            }
+            this.editList.reset();
+            this.selectedIndex = -1;
+            this.commit();
+        });
+
+        this.track.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+        this.track.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+        this.track.addEventListener('pointerup', (event) => this.handlePointerUp(event));
+        this.track.addEventListener('pointercancel', (event) => this.handlePointerUp(event));
+    }
+
+    setTime(timeMs) {
+        if (this.duration > 0) {
+            this.playhead.style.left = `${Math.min(100, timeMs / this.duration * 100)}%`;
+        }
+    }
+
+    refresh() {
+        this.renderTrack();
+        this.renderPanel();
+    }
+
+    renderTrack() {
+        this.track.querySelectorAll('.trim-cut').forEach(node => node.remove());
+
+        if (this.duration <= 0) {
+            return;
+        }
+
+        const percent = (time) => `${time / this.duration * 100}%`;
+        const trimStart = this.editList.trimStart;
+        const trimEnd = this.editList.trimEnd;
+
+        this.outsideStart.style.left = '0';
+        this.outsideStart.style.width = percent(trimStart);
+        this.outsideEnd.style.left = percent(trimEnd);
+        this.outsideEnd.style.width = percent(this.duration - trimEnd);
+        this.startHandle.style.left = percent(trimStart);
+        this.endHandle.style.left = percent(trimEnd);
+
+        this.editList.cuts.forEach((cut, index) => {
+            const block = document.createElement('div');
+            block.className = 'zoom-segment trim-cut';
+            block.dataset.index = index;
+            block.classList.toggle('selected', index === this.selectedIndex);
+            block.style.left = percent(cut.start);
+            block.style.width = percent(cut.end - cut.start);
+            block.title = `Cut ${this.formatTime(cut.start)} – ${this.formatTime(cut.end)}`;
+            block.innerHTML = `
+                <div class="zoom-handle" data-handle="start"></div>
+                <div class="zoom-handle" data-handle="end"></div>
+            `;
+            this.track.insertBefore(block, this.startHandle);
+        });
+    }
+
+    renderPanel() {
+        const summary = `Edited length ${this.formatTime(this.editList.outputDuration)} of ${this.formatTime(this.duration)}`;
+        const cut = this.editList.cuts[this.selectedIndex];
+
+        if (!cut) {
+            this.panel.innerHTML = `<span class="zoom-panel-hint">${summary}. Drag the yellow handles to trim, drag a cut's edges to resize it.</span>`;
+            return;
+        }
+
+        this.panel.innerHTML = `
+            <span>Cut ${this.formatTime(cut.start)} – ${this.formatTime(cut.end)}</span>
+            <span class="zoom-panel-hint">${summary}</span>
+            <button class="player-button" data-role="delete">🗑️ Remove Cut</button>
+        `;
+
+        this.panel.querySelector('[data-role="delete"]').addEventListener('click', () => {
+            this.editList.removeCut(this.selectedIndex);
+            this.selectedIndex = -1;
+            this.commit();
+        });
+    }
+
+    handlePointerDown(event) {
+        const handle = event.target.dataset.handle;
+        const block = event.target.closest('.trim-cut');
+
+        if (handle === 'trimStart' || handle === 'trimEnd') {
+            this.dragState = { mode: handle, moved: false };
+        } else if (block) {
+            const index = parseInt(block.dataset.index, 10);
+            const cut = this.editList.cuts[index];
+            this.selectedIndex = index;
+            this.dragState = {
+                mode: handle || 'move',
+                index,
+                originX: event.clientX,
+                originStart: cut.start,
+                originEnd: cut.end,
+                moved: false
+            };
+            this.refresh();
+        } else {
+            this.selectedIndex = -1;
+            this.refresh();
+            this.onSeek(this.timeFromEvent(event));
+            return;
+        }
+
+        this.track.setPointerCapture(event.pointerId);
+        event.preventDefault();
+    }
+
+    handlePointerMove(event) {
+        const state = this.dragState;
+        if (!state) {
+            return;
+        }
+
+        if (state.mode === 'trimStart') {
+            this.editList.setTrim(this.timeFromEvent(event), this.editList.trimEnd);
+        } else if (state.mode === 'trimEnd') {
+            this.editList.setTrim(this.editList.trimStart, this.timeFromEvent(event));
+        } else {
+            const delta = (event.clientX - state.originX) / this.track.clientWidth * this.duration;
+            let start = state.originStart;
+            let end = state.originEnd;
+
+            if (state.mode === 'move') {
+                const length = end - start;
+                start = Math.min(Math.max(0, start + delta), this.duration - length);
+                end = start + length;
+            } else if (state.mode === 'start') {
+                start = Math.min(Math.max(0, start + delta), end - MIN_KEPT_MS);
+            } else {
+                end = Math.max(Math.min(this.duration, end + delta), start + MIN_KEPT_MS);
+            }
+
+            // Cuts are kept sorted and merged, so only write back while this one is still separate
+            const neighbours = this.editList.cuts.filter((cut, index) => index !== state.index);
+            if (neighbours.some(cut => start < cut.end && end > cut.start)) {
+                return;
+            }
+            this.editList.cuts[state.index] = { start: Math.round(start), end: Math.round(end) };
+        }
+
+        state.moved = true;
+        this.renderTrack();
+    }
+
+    handlePointerUp(event) {
+        if (!this.dragState) {
+            return;
+        }
+
+        const state = this.dragState;
+        this.dragState = null;
+        this.track.releasePointerCapture(event.pointerId);
+
+        if (state.moved) {
+            // Sorting may move the dragged cut, so keep it selected by where it ended up
+            const dragged = this.editList.cuts[state.index];
+            this.editList.normalize();
+            if (dragged) {
+                this.selectedIndex = this.editList.cuts.findIndex(cut => cut.start <= dragged.start && cut.end >= dragged.end);
+            }
+            this.commit();
+        }
+    }
+
+    timeFromEvent(event) {
+        const rect = this.track.getBoundingClientRect();
+        const ratio = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+        return ratio * this.duration;
+    }
+
+    commit() {
+        this.refresh();
+        this.onChange(this.editList);
+    }
+
+    formatTime(ms) {
+        const total = Math.floor(ms / 1000);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+}
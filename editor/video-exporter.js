@@ -0,0 +1,222 @@
+// Re-renders a recording through the playback renderer and encodes the canvas output
+const EXPORT_MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+
+// MP4 exports render straight to H.264 where MediaRecorder can; anything else is converted afterwards
+const MP4_EXPORT_MIME_TYPES = [
+    'video/mp4;codecs=avc1.640028,mp4a.40.2',
+    'video/mp4;codecs=avc1,mp4a.40.2',
+    'video/webm;codecs=h264,opus',
+    'video/x-matroska;codecs=avc1,opus',
+    ...EXPORT_MIME_TYPES
+];
+
+class VideoExporter {
+    constructor(options) {
+        this.sourceUrl = options.sourceUrl;
+        this.createRenderer = options.createRenderer;
+        this.durationMs = options.durationMs || 0;
+        this.videoBitsPerSecond = options.videoBitsPerSecond || 8000000;
+        this.mimeTypes = options.mimeTypes || EXPORT_MIME_TYPES;
+        this.editList = options.editList || null;
+        this.onProgress = options.onProgress || (() => {});
+
+        this.cancelled = false;
+        this.video = null;
+        this.renderer = null;
+        this.audioContext = null;
+        this.mediaRecorder = null;
+        this.rejectRun = null;
+    }
+
+    run() {
+        return new Promise((resolve, reject) => {
+            this.rejectRun = reject;
+            this.start(resolve, reject).catch(error => {
+                this.cleanup();
+                reject(error);
+            });
+        });
+    }
+
+    async start(resolve, reject) {
+        this.video = HiddenVideo.create(this.sourceUrl);
+        await HiddenVideo.waitForEvent(this.video, 'loadeddata');
+
+        const canvas = document.createElement('canvas');
+        canvas.width = this.video.videoWidth;
+        canvas.height = this.video.videoHeight;
+
+        const renderer = this.createRenderer(this.video, canvas);
+        this.renderer = renderer;
+        await renderer.prepare();
+
+        // A zero-rate capture stream only emits the frames we explicitly request
+        const videoTrack = canvas.captureStream(0).getVideoTracks()[0];
+        const stream = new MediaStream([videoTrack, ...this.createAudioTracks()]);
+        const mimeType = this.mimeTypes.find(type => MediaRecorder.isTypeSupported(type)) || '';
+
+        const chunks = [];
+        this.mediaRecorder = new MediaRecorder(stream, {
+            mimeType,
+            videoBitsPerSecond: this.videoBitsPerSecond
+        });
+
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+
+        this.mediaRecorder.onstop = () => {
+            const duration = Math.round(this.getOutputDurationMs());
+            stream.getTracks().forEach(track => track.stop());
+            this.cleanup();
+
+            if (this.cancelled) {
+                reject(new Error('Export cancelled'));
+                return;
+            }
+
+            const type = (this.mediaRecorder.mimeType || 'video/webm').split(';')[0];
+            resolve({
+                blob: new Blob(chunks, { type }),
+                mimeType: type,
+                duration: duration
+            });
+        };
+
+        const drawFrame = (now, metadata) => {
+            if (this.cancelled || this.mediaRecorder.state === 'inactive') {
+                return;
+            }
+
+            const timeMs = metadata.mediaTime * 1000;
+
+            if (this.editList && !this.skipRemoved(timeMs)) {
+                return;
+            }
+
+            renderer.renderFrame(timeMs);
+            videoTrack.requestFrame();
+            this.reportProgress(timeMs);
+
+            this.video.requestVideoFrameCallback(drawFrame);
+        };
+
+        this.video.addEventListener('ended', () => this.finish());
+
+        const startMs = this.editList ? this.editList.toSourceTime(0) : 0;
+        if (startMs > 0) {
+            const seeked = HiddenVideo.waitForEvent(this.video, 'seeked');
+            this.video.currentTime = startMs / 1000;
+            await seeked;
+        } else {
+            this.video.currentTime = 0;
+        }
+        renderer.renderFrame(startMs);
+
+        this.mediaRecorder.start(1000);
+        this.video.requestVideoFrameCallback(drawFrame);
+        await this.video.play();
+    }
+
+    // Jumps over cut ranges with the recorder paused so the gap never reaches the output.
+    // Returns false once the frame is past the end of the edit
+    skipRemoved(timeMs) {
+        const next = this.editList.nextKeptTime(timeMs);
+
+        if (next === null) {
+            this.finish();
+            return false;
+        }
+
+        if (next > timeMs + 1) {
+            this.mediaRecorder.pause();
+            this.video.addEventListener('seeked', () => {
+                if (this.mediaRecorder.state === 'paused') {
+                    this.mediaRecorder.resume();
+                }
+            }, { once: true });
+            this.video.currentTime = next / 1000;
+        }
+
+        return true;
+    }
+
+    finish() {
+        this.reportProgress(this.getDurationMs());
+        if (this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.stop();
+        }
+    }
+
+    // Route audio into the recorder without playing it through the speakers
+    createAudioTracks() {
+        try {
+            this.audioContext = new AudioContext();
+            const source = this.audioContext.createMediaElementSource(this.video);
+            const destination = this.audioContext.createMediaStreamDestination();
+            source.connect(destination);
+            return destination.stream.getAudioTracks();
+        } catch (error) {
+            console.warn('Exporting without audio:', error);
+            return [];
+        }
+    }
+
+    getDurationMs() {
+        if (this.video && Number.isFinite(this.video.duration)) {
+            return this.video.duration * 1000;
+        }
+        return this.durationMs;
+    }
+
+    getOutputDurationMs() {
+        return this.editList ? this.editList.outputDuration : this.getDurationMs();
+    }
+
+    reportProgress(timeMs) {
+        const duration = this.getOutputDurationMs();
+        const outputMs = this.editList ? this.editList.toOutputTime(timeMs) : timeMs;
+        this.onProgress(duration > 0 ? Math.min(1, outputMs / duration) : 0);
+    }
+
+    cancel() {
+        if (this.cancelled) {
+            return;
+        }
+
+        this.cancelled = true;
+
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.stop();
+        } else {
+            this.cleanup();
+            if (this.rejectRun) {
+                this.rejectRun(new Error('Export cancelled'));
+            }
+        }
+    }
+
+    cleanup() {
+        if (this.renderer) {
+            this.renderer.destroy();
+            this.renderer = null;
+        }
+
+        if (this.video) {
+            this.video.pause();
+            this.video.remove();
+            this.video = null;
+        }
+
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+    }
+}
@@ -0,0 +1,398 @@
+// Picture-in-picture webcam bubble with keyframed position, size and visibility
+const WEBCAM_DEFAULTS = {
+    enabled: true,
+    shape: 'circle',
+    // x/y place the bubble's center in the output frame; size is its height as a fraction of the frame height
+    keyframes: [{ time: 0, x: 0.86, y: 0.78, size: 0.3, visible: true }]
+};
+
+const WEBCAM_SHAPES = {
+    circle: 'Circle',
+    rounded: 'Rounded'
+};
+
+// Each keyframe is reached by easing in over this window before its time
+const WEBCAM_TRANSITION_MS = 400;
+const WEBCAM_KEYFRAME_SNAP_MS = 150;
+const WEBCAM_MIN_SIZE = 0.1;
+const WEBCAM_MAX_SIZE = 0.6;
+
+class WebcamOverlay {
+    constructor(recording, settings = {}) {
+        this.info = recording.webcam || null;
+        this.sourceUrl = null;
+        this.settingsElement = null;
+
+        this.settings = { ...WEBCAM_DEFAULTS, ...settings };
+        this.settings.keyframes = (settings.keyframes || WEBCAM_DEFAULTS.keyframes)
+            .map(keyframe => ({ ...keyframe }))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    get available() {
+        return this.info !== null && this.sourceUrl !== null;
+    }
+
+    async load(store) {
+        const blob = await store.getBlob(this.info.storageId, this.info.mimeType);
+        if (blob) {
+            this.sourceUrl = URL.createObjectURL(blob);
+        }
+    }
+
+    release() {
+        if (this.sourceUrl) {
+            URL.revokeObjectURL(this.sourceUrl);
+            this.sourceUrl = null;
+        }
+    }
+
+    // Each renderer needs its own webcam element so the preview and an export can play independently
+    createLayer(video, options = {}) {
+        return new WebcamLayer(this, video, options);
+    }
+
+    stateAt(time) {
+        const keyframes = this.settings.keyframes;
+        const nextIndex = keyframes.findIndex(keyframe => keyframe.time > time);
+        const index = nextIndex === -1 ? keyframes.length - 1 : Math.max(0, nextIndex - 1);
+        const current = keyframes[index];
+        const next = keyframes[index + 1];
+        const opacity = current.visible ? 1 : 0;
+
+        if (!next || time < next.time - WEBCAM_TRANSITION_MS) {
+            return { x: current.x, y: current.y, size: current.size, visible: current.visible, opacity };
+        }
+
+        const t = ZOOM_EASINGS.easeInOutCubic(Math.min(1, (time - (next.time - WEBCAM_TRANSITION_MS)) / WEBCAM_TRANSITION_MS));
+        const nextOpacity = next.visible ? 1 : 0;
+
+        return {
+            x: current.x + (next.x - current.x) * t,
+            y: current.y + (next.y - current.y) * t,
+            size: current.size + (next.size - current.size) * t,
+            visible: current.visible || next.visible,
+            opacity: opacity + (nextOpacity - opacity) * t
+        };
+    }
+
+    // Updates the keyframe at this time, or adds one holding the current state plus the changes
+    setKeyframe(time, changes) {
+        const keyframes = this.settings.keyframes;
+        const existing = keyframes.find(keyframe => Math.abs(keyframe.time - time) <= WEBCAM_KEYFRAME_SNAP_MS);
+
+        if (existing) {
+            Object.assign(existing, changes);
+        } else {
+            const state = this.stateAt(time);
+            keyframes.push({
+                time: Math.max(0, Math.round(time)),
+                x: state.x,
+                y: state.y,
+                size: state.size,
+                visible: state.visible && state.opacity > 0.5,
+                ...changes
+            });
+            keyframes.sort((a, b) => a.time - b.time);
+        }
+
+        this.refreshSettings();
+    }
+
+    removeKeyframe(index) {
+        if (this.settings.keyframes.length > 1) {
+            this.settings.keyframes.splice(index, 1);
+            this.refreshSettings();
+        }
+    }
+
+    // Bubble rectangle in output pixels; the bubble ignores the zoom camera
+    getBounds(time, width, height) {
+        const state = this.stateAt(time);
+        const size = this.clampSize(state.size) * height;
+        const aspect = this.info && this.info.width && this.info.height ? this.info.width / this.info.height : 4 / 3;
+        const boxWidth = this.settings.shape === 'circle' ? size : size * aspect;
+
+        return {
+            x: state.x * width - boxWidth / 2,
+            y: state.y * height - size / 2,
+            width: boxWidth,
+            height: size,
+            opacity: state.opacity
+        };
+    }
+
+    hitTest(point, time, width, height) {
+        const bounds = this.getBounds(time, width, height);
+        if (bounds.opacity < 0.5) {
+            return null;
+        }
+
+        const handle = Math.max(12, bounds.height * 0.18);
+        const inBox = point.x >= bounds.x && point.x <= bounds.x + bounds.width &&
+            point.y >= bounds.y && point.y <= bounds.y + bounds.height;
+
+        if (!inBox) {
+            return null;
+        }
+
+        if (point.x >= bounds.x + bounds.width - handle && point.y >= bounds.y + bounds.height - handle) {
+            return 'resize';
+        }
+
+        if (this.settings.shape === 'circle') {
+            const radius = bounds.height / 2;
+            const dx = point.x - (bounds.x + radius);
+            const dy = point.y - (bounds.y + radius);
+            return dx * dx + dy * dy <= radius * radius ? 'move' : null;
+        }
+
+        return 'move';
+    }
+
+    clampSize(size) {
+        return Math.min(WEBCAM_MAX_SIZE, Math.max(WEBCAM_MIN_SIZE, size));
+    }
+
+    renderSettings(onChange, controls) {
+        const section = document.createElement('div');
+        section.className = 'effect-settings webcam-settings';
+
+        const shapeOptions = Object.entries(WEBCAM_SHAPES)
+            .map(([value, label]) => `<option value="${value}" ${value === this.settings.shape ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        section.innerHTML = `
+            <label class="effect-title">
+                <input type="checkbox" data-field="enabled" ${this.settings.enabled ? 'checked' : ''}>
+                📷 Webcam
+            </label>
+            <label>Shape <select data-field="shape">${shapeOptions}</select></label>
+            <button class="player-button" data-action="keyframe">📍 Keyframe</button>
+            <button class="player-button" data-action="visibility">🙈 Hide here</button>
+            <div class="webcam-keyframes" data-role="keyframes"></div>
+        `;
+
+        section.querySelectorAll('[data-field]').forEach(input => {
+            input.addEventListener('change', () => {
+                const field = input.dataset.field;
+                this.settings[field] = input.type === 'checkbox' ? input.checked : input.value;
+                onChange(this.settings);
+            });
+        });
+
+        section.querySelector('[data-action="keyframe"]').addEventListener('click', () => {
+            this.setKeyframe(controls.getTime(), {});
+            onChange(this.settings);
+        });
+
+        section.querySelector('[data-action="visibility"]').addEventListener('click', () => {
+            const time = controls.getTime();
+            this.setKeyframe(time, { visible: this.stateAt(time).opacity < 0.5 });
+            onChange(this.settings);
+        });
+
+        this.settingsElement = section;
+        this.settingsControls = { onChange, ...controls };
+        this.refreshSettings();
+
+        return section;
+    }
+
+    refreshSettings() {
+        if (!this.settingsElement) {
+            return;
+        }
+
+        const { onChange, onSeek } = this.settingsControls;
+        const list = this.settingsElement.querySelector('[data-role="keyframes"]');
+        list.innerHTML = '';
+
+        this.settings.keyframes.forEach((keyframe, index) => {
+            const row = document.createElement('span');
+            row.className = 'webcam-keyframe';
+            row.textContent = `${(keyframe.time / 1000).toFixed(1)}s ${keyframe.visible ? '👁️' : '🙈'}`;
+            row.addEventListener('click', () => onSeek(keyframe.time));
+
+            if (this.settings.keyframes.length > 1) {
+                const remove = document.createElement('button');
+                remove.textContent = '✖';
+                remove.title = 'Remove keyframe';
+                remove.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    this.removeKeyframe(index);
+                    onChange(this.settings);
+                });
+                row.appendChild(remove);
+            }
+
+            list.appendChild(row);
+        });
+
+        this.updateControls(this.settingsControls.getTime());
+    }
+
+    updateControls(time) {
+        if (this.settingsElement) {
+            const hidden = this.stateAt(time).opacity < 0.5;
+            this.settingsElement.querySelector('[data-action="visibility"]').textContent = hidden ? '👁️ Show here' : '🙈 Hide here';
+        }
+    }
+}
+
+class WebcamLayer {
+    constructor(overlay, video, options = {}) {
+        this.overlay = overlay;
+        this.video = video;
+        this.interactive = Boolean(options.interactive);
+
+        this.webcam = document.createElement('video');
+        this.webcam.muted = true;
+        this.webcam.playsInline = true;
+        this.webcam.preload = 'auto';
+    }
+
+    get enabled() {
+        return this.overlay.settings.enabled && this.overlay.available;
+    }
+
+    ensureSource() {
+        if (!this.webcam.src && this.overlay.sourceUrl) {
+            this.webcam.src = this.overlay.sourceUrl;
+        }
+    }
+
+    // Resolves once the first webcam frame can be drawn, so exports don't start without the bubble
+    prepare() {
+        this.ensureSource();
+        if (!this.webcam.src || this.webcam.readyState >= 2) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            this.webcam.addEventListener('loadeddata', resolve, { once: true });
+            this.webcam.addEventListener('error', resolve, { once: true });
+        });
+    }
+
+    settle(time) {
+        this.sync(time);
+        if (!this.webcam.seeking) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            this.webcam.addEventListener('seeked', resolve, { once: true });
+            this.webcam.addEventListener('error', resolve, { once: true });
+        });
+    }
+
+    // Follows the main video's clock, seeking only when the two drift apart
+    sync(time) {
+        this.ensureSource();
+
+        const webcam = this.webcam;
+        const target = (time - (this.overlay.info.startOffset || 0)) / 1000;
+        const outOfRange = target < 0 || (Number.isFinite(webcam.duration) && target > webcam.duration);
+
+        if (outOfRange || this.video.paused) {
+            if (!webcam.paused) {
+                webcam.pause();
+            }
+        } else if (webcam.paused) {
+            webcam.play().catch(() => {});
+        }
+
+        if (outOfRange) {
+            return false;
+        }
+
+        const tolerance = this.video.paused ? 0.05 : 0.25;
+        if (Math.abs(webcam.currentTime - target) > tolerance) {
+            webcam.currentTime = target;
+        }
+
+        return webcam.readyState >= 2;
+    }
+
+    draw(ctx, time, view) {
+        if (!this.sync(time)) {
+            return;
+        }
+
+        const bounds = this.overlay.getBounds(time, view.width, view.height);
+        if (bounds.opacity <= 0) {
+            return;
+        }
+
+        ctx.save();
+        ctx.globalAlpha = bounds.opacity;
+
+        this.tracePath(ctx, bounds);
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.4)';
+        ctx.shadowBlur = bounds.height * 0.08;
+        ctx.fillStyle = '#000';
+        ctx.fill();
+        ctx.shadowColor = 'transparent';
+
+        ctx.save();
+        ctx.clip();
+        this.drawCover(ctx, bounds);
+        ctx.restore();
+
+        ctx.lineWidth = Math.max(2, bounds.height * 0.02);
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+
+        if (this.interactive && this.video.paused) {
+            this.drawResizeHandle(ctx, bounds);
+        }
+
+        ctx.restore();
+    }
+
+    tracePath(ctx, bounds) {
+        ctx.beginPath();
+        if (this.overlay.settings.shape === 'circle') {
+            const radius = bounds.height / 2;
+            ctx.arc(bounds.x + radius, bounds.y + radius, radius, 0, Math.PI * 2);
+        } else {
+            ctx.roundRect(bounds.x, bounds.y, bounds.width, bounds.height, bounds.height * 0.12);
+        }
+    }
+
+    // Crop the webcam frame to fill the bubble without stretching
+    drawCover(ctx, bounds) {
+        const sourceWidth = this.webcam.videoWidth;
+        const sourceHeight = this.webcam.videoHeight;
+        const scale = Math.max(bounds.width / sourceWidth, bounds.height / sourceHeight);
+        const cropWidth = bounds.width / scale;
+        const cropHeight = bounds.height / scale;
+
+        ctx.drawImage(
+            this.webcam,
+            (sourceWidth - cropWidth) / 2, (sourceHeight - cropHeight) / 2, cropWidth, cropHeight,
+            bounds.x, bounds.y, bounds.width, bounds.height
+        );
+    }
+
+    drawResizeHandle(ctx, bounds) {
+        const size = Math.max(12, bounds.height * 0.18);
+        const x = bounds.x + bounds.width - size;
+        const y = bounds.y + bounds.height - size;
+
+        ctx.beginPath();
+        ctx.moveTo(x + size, y);
+        ctx.lineTo(x + size, y + size);
+        ctx.lineTo(x, y + size);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fill();
+    }
+
+    release() {
+        this.webcam.pause();
+        this.webcam.removeAttribute('src');
+        this.webcam.load();
+    }
+}
@@ -0,0 +1,244 @@
+// Minimal WebM/Matroska reader: track info plus every frame, enough to remux or re-encode MediaRecorder output
+const EBML_IDS = {
+    EBML: 0x1A45DFA3,
+    Segment: 0x18538067,
+    Info: 0x1549A966,
+    TimecodeScale: 0x2AD7B1,
+    Duration: 0x4489,
+    Tracks: 0x1654AE6B,
+    TrackEntry: 0xAE,
+    TrackNumber: 0xD7,
+    TrackType: 0x83,
+    CodecID: 0x86,
+    CodecPrivate: 0x63A2,
+    CodecDelay: 0x56AA,
+    Video: 0xE0,
+    PixelWidth: 0xB0,
+    PixelHeight: 0xBA,
+    Audio: 0xE1,
+    SamplingFrequency: 0xB5,
+    Channels: 0x9F,
+    Cluster: 0x1F43B675,
+    Timecode: 0xE7,
+    SimpleBlock: 0xA3,
+    BlockGroup: 0xA0,
+    Block: 0xA1,
+    ReferenceBlock: 0xFB
+};
+
+// Containers whose children are read in place. MediaRecorder writes Segment and Cluster with
+// unknown sizes, so these are never skipped by size
+const EBML_MASTER_IDS = new Set([
+    EBML_IDS.Segment,
+    EBML_IDS.Info,
+    EBML_IDS.Tracks,
+    EBML_IDS.TrackEntry,
+    EBML_IDS.Video,
+    EBML_IDS.Audio,
+    EBML_IDS.Cluster
+]);
+
+class WebmDemuxer {
+    async parse(blob) {
+        this.bytes = new Uint8Array(await blob.arrayBuffer());
+        this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+        this.timecodeScale = 1000000;
+        this.duration = null;
+        this.tracks = [];
+        this.clusterTimecode = 0;
+
+        let track = null;
+        let position = 0;
+
+        while (position < this.bytes.length) {
+            const header = this.readElementHeader(position);
+            if (!header) {
+                break;
+            }
+
+            const start = header.dataStart;
+            const end = header.size === null ? this.bytes.length : Math.min(this.bytes.length, start + header.size);
+
+            if (EBML_MASTER_IDS.has(header.id)) {
+                if (header.id === EBML_IDS.TrackEntry) {
+                    track = { number: 0, type: null, codecId: '', codecPrivate: null, codecDelay: 0, frames: [] };
+                    this.tracks.push(track);
+                }
+                position = start;
+                continue;
+            }
+
+            switch (header.id) {
+                case EBML_IDS.TimecodeScale:
+                    this.timecodeScale = this.readUint(start, end);
+                    break;
+                case EBML_IDS.Duration:
+                    this.duration = this.readFloat(start, end);
+                    break;
+                case EBML_IDS.TrackNumber:
+                    track.number = this.readUint(start, end);
+                    break;
+                case EBML_IDS.TrackType:
+                    track.type = { 1: 'video', 2: 'audio' }[this.readUint(start, end)] || null;
+                    break;
+                case EBML_IDS.CodecID:
+                    track.codecId = this.readString(start, end);
+                    break;
+                case EBML_IDS.CodecPrivate:
+                    track.codecPrivate = this.bytes.subarray(start, end);
+                    break;
+                case EBML_IDS.CodecDelay:
+                    track.codecDelay = this.readUint(start, end);
+                    break;
+                case EBML_IDS.PixelWidth:
+                    track.width = this.readUint(start, end);
+                    break;
+                case EBML_IDS.PixelHeight:
+                    track.height = this.readUint(start, end);
+                    break;
+                case EBML_IDS.SamplingFrequency:
+                    track.sampleRate = this.readFloat(start, end);
+                    break;
+                case EBML_IDS.Channels:
+                    track.channels = this.readUint(start, end);
+                    break;
+                case EBML_IDS.Timecode:
+                    this.clusterTimecode = this.readUint(start, end);
+                    break;
+                case EBML_IDS.SimpleBlock:
+                    this.readBlock(start, end, null);
+                    break;
+                case EBML_IDS.BlockGroup:
+                    this.readBlockGroup(start, end);
+                    break;
+                default:
+                    // EBML header, SeekHead, Cues, Tags, Void and anything else we don't need
+                    break;
+            }
+
+            // A truncated file (e.g. a recording cut off mid-write) just ends here
+            if (header.size === null) {
+                break;
+            }
+            position = end;
+        }
+
+        return {
+            duration: this.duration === null ? null : this.duration * this.timecodeScale / 1000000,
+            tracks: this.tracks.filter(t => t.type !== null)
+        };
+    }
+
+    readBlockGroup(start, end) {
+        let block = null;
+        let referenced = false;
+        let position = start;
+
+        while (position < end) {
+            const header = this.readElementHeader(position);
+            if (!header || header.size === null) {
+                break;
+            }
+
+            if (header.id === EBML_IDS.Block) {
+                block = { start: header.dataStart, end: header.dataStart + header.size };
+            } else if (header.id === EBML_IDS.ReferenceBlock) {
+                referenced = true;
+            }
+            position = header.dataStart + header.size;
+        }
+
+        if (block) {
+            this.readBlock(block.start, block.end, !referenced);
+        }
+    }
+
+    // keyframe is null for SimpleBlocks, which carry the flag themselves
+    readBlock(start, end, keyframe) {
+        const trackNumber = this.readVint(start, false);
+        const offset = start + trackNumber.length;
+        const relativeTimecode = this.view.getInt16(offset);
+        const flags = this.bytes[offset + 2];
+
+        if (flags & 0x06) {
+            throw new Error('Laced WebM blocks are not supported');
+        }
+
+        const track = this.tracks.find(t => t.number === trackNumber.value);
+        if (!track) {
+            return;
+        }
+
+        track.frames.push({
+            // Microseconds, the unit WebCodecs uses
+            timestamp: Math.round((this.clusterTimecode + relativeTimecode) * this.timecodeScale / 1000),
+            keyframe: keyframe === null ? Boolean(flags & 0x80) : keyframe,
+            data: this.bytes.subarray(offset + 3, end)
+        });
+    }
+
+    readElementHeader(position) {
+        if (position >= this.bytes.length) {
+            return null;
+        }
+
+        const id = this.readVint(position, true);
+        if (!id || position + id.length >= this.bytes.length) {
+            return null;
+        }
+
+        const size = this.readVint(position + id.length, false);
+        if (!size) {
+            return null;
+        }
+
+        return {
+            id: id.value,
+            size: size.unknown ? null : size.value,
+            dataStart: position + id.length + size.length
+        };
+    }
+
+    // IDs keep their length marker bit; sizes drop it. An all-ones size means "unknown"
+    readVint(position, keepMarker) {
+        const first = this.bytes[position];
+        let length = 1;
+        let mask = 0x80;
+
+        while (length <= 8 && !(first & mask)) {
+            length++;
+            mask >>= 1;
+        }
+
+        if (length > 8 || position + length > this.bytes.length) {
+            return null;
+        }
+
+        let value = keepMarker ? first : first & (mask - 1);
+        let allOnes = (first & (mask - 1)) === mask - 1;
+
+        for (let i = 1; i < length; i++) {
+            const byte = this.bytes[position + i];
+            value = value * 256 + byte;
+            allOnes = allOnes && byte === 0xFF;
+        }
+
+        return { value, length, unknown: !keepMarker && allOnes };
+    }
+
+    readUint(start, end) {
+        let value = 0;
+        for (let i = start; i < end; i++) {
+            value = value * 256 + this.bytes[i];
+        }
+        return value;
+    }
+
+    readFloat(start, end) {
+        return end - start === 4 ? this.view.getFloat32(start) : this.view.getFloat64(start);
+    }
+
+    readString(start, end) {
+        return new TextDecoder().decode(this.bytes.subarray(start, end)).replace(/\0+$/, '');
+    }
+}
@@ -0,0 +1,122 @@
+// Animated WebP: each frame is encoded by the browser's own WebP encoder and wrapped in ANMF chunks
+const WEBP_QUALITY_PRESETS = {
+    low: 0.6,
+    medium: 0.8,
+    high: 0.95
+};
+
+class WebpAnimationEncoder {
+    constructor({ width, height, loop = true, quality = 'medium' }) {
+        this.width = width;
+        this.height = height;
+        this.loop = loop;
+        this.quality = WEBP_QUALITY_PRESETS[quality] || WEBP_QUALITY_PRESETS.medium;
+        this.frames = [];
+        this.hasAlpha = false;
+    }
+
+    async addFrame(canvas, imageData, delayMs) {
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/webp', this.quality));
+        if (!blob || blob.type !== 'image/webp') {
+            throw new Error('This browser cannot encode WebP images');
+        }
+
+        const chunks = this.readImageChunks(new Uint8Array(await blob.arrayBuffer()));
+        this.hasAlpha = this.hasAlpha || chunks.some(chunk => chunk.type === 'ALPH');
+        this.frames.push({ chunks, delayMs });
+    }
+
+    extendLastFrame(delayMs) {
+        const last = this.frames[this.frames.length - 1];
+        if (last) {
+            last.delayMs += delayMs;
+        }
+    }
+
+    finish() {
+        const flags = 0x02 | (this.hasAlpha ? 0x10 : 0x00);
+        const vp8x = new Uint8Array([
+            flags, 0, 0, 0,
+            ...this.u24(this.width - 1),
+            ...this.u24(this.height - 1)
+        ]);
+
+        // Background white, loop count 0 meaning forever
+        const anim = new Uint8Array([0xFF, 0xFF, 0xFF, 0xFF, ...this.u16(this.loop ? 0 : 1)]);
+
+        const body = [
+            this.ascii('WEBP'),
+            this.chunk('VP8X', [vp8x]),
+            this.chunk('ANIM', [anim]),
+            ...this.frames.map(frame => this.chunk('ANMF', [
+                new Uint8Array([
+                    ...this.u24(0),
+                    ...this.u24(0),
+                    ...this.u24(this.width - 1),
+                    ...this.u24(this.height - 1),
+                    ...this.u24(Math.min(0xFFFFFF, Math.round(frame.delayMs))),
+                    0x02 // Replace rather than blend; frames cover the whole canvas anyway
+                ]),
+                ...frame.chunks.map(chunk => chunk.bytes)
+            ]))
+        ];
+
+        const size = body.reduce((sum, part) => sum + part.length, 0);
+        return new Blob([this.ascii('RIFF'), new Uint8Array(this.u32(size)), ...body], { type: 'image/webp' });
+    }
+
+    // Keeps the bitstream chunks (ALPH, VP8, VP8L) of a still WebP, headers and padding included
+    readImageChunks(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const chunks = [];
+        let offset = 12;
+
+        while (offset + 8 <= bytes.length) {
+            const type = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+            const size = view.getUint32(offset + 4, true);
+            const end = Math.min(bytes.length, offset + 8 + size + (size & 1));
+
+            if (type === 'ALPH' || type === 'VP8 ' || type === 'VP8L') {
+                chunks.push({ type, bytes: bytes.subarray(offset, end) });
+            }
+            offset = end;
+        }
+
+        if (!chunks.some(chunk => chunk.type !== 'ALPH')) {
+            throw new Error('Unexpected WebP frame data');
+        }
+
+        return chunks;
+    }
+
+    chunk(type, parts) {
+        const size = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(8 + size + (size & 1));
+        result.set(this.ascii(type));
+        result.set(this.u32(size), 4);
+
+        let offset = 8;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+
+        return result;
+    }
+
+    ascii(text) {
+        return Uint8Array.from(text, char => char.charCodeAt(0));
+    }
+
+    u16(value) {
+        return [value & 0xFF, (value >> 8) & 0xFF];
+    }
+
+    u24(value) {
+        return [value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF];
+    }
+
+    u32(value) {
+        return [value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF, (value >>> 24) & 0xFF];
+    }
+}
@@ -0,0 +1,231 @@
+// Derives zoom segments from cursor activity and resolves the camera at any video time
+const ZOOM_EASINGS = {
+    linear: t => t,
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeOutQuad: t => 1 - (1 - t) * (1 - t),
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2
+};
+
+const ZOOM_DEFAULTS = {
+    scale: 2,
+    easing: 'easeInOutCubic',
+    transitionMs: 600,
+    clickLeadMs: 400,
+    clickHoldMs: 1600,
+    dwellMs: 900,
+    dwellRadius: 0.04,
+    fastSpeed: 1.2, // viewport widths per second
+    mergeDistance: 0.2,
+    mergeGapMs: 800,
+    minSegmentMs: 700
+};
+
+class ZoomEngine {
+    constructor(track, options = {}) {
+        this.track = track;
+        this.options = { ...ZOOM_DEFAULTS, ...options };
+        this.segments = [];
+    }
+
+    setSegments(segments) {
+        this.segments = segments
+            .map(segment => ({ ...segment }))
+            .sort((a, b) => a.start - b.start);
+    }
+
+    deriveSegments() {
+        const candidates = [
+            ...this.findClickCandidates(),
+            ...this.findDwellCandidates()
+        ].sort((a, b) => a.start - b.start);
+
+        const merged = this.mergeCandidates(candidates);
+        const fastIntervals = this.findFastIntervals();
+
+        const segments = [];
+        merged.forEach(candidate => {
+            this.cutByIntervals(candidate, fastIntervals).forEach(part => {
+                if (part.end - part.start >= this.options.minSegmentMs) {
+                    segments.push(this.createSegment(part));
+                }
+            });
+        });
+
+        this.setSegments(segments);
+        return this.segments;
+    }
+
+    createSegment(part) {
+        return {
+            id: `zoom_${Math.round(part.start)}_${Math.random().toString(36).slice(2, 7)}`,
+            start: Math.max(0, Math.round(part.start)),
+            end: Math.round(part.end),
+            x: part.x,
+            y: part.y,
+            scale: this.options.scale,
+            easing: this.options.easing,
+            source: 'auto'
+        };
+    }
+
+    findClickCandidates() {
+        return this.track.clicks.map(click => ({
+            start: click.time - this.options.clickLeadMs,
+            end: click.time + this.options.clickHoldMs,
+            x: click.x,
+            y: click.y,
+            weight: 2
+        }));
+    }
+
+    findDwellCandidates() {
+        const samples = this.track.samples;
+        const candidates = [];
+        let anchor = 0;
+
+        for (let i = 1; i <= samples.length; i++) {
+            const sample = samples[i];
+            const drifted = !sample || this.distance(sample, samples[anchor]) > this.options.dwellRadius;
+
+            if (drifted) {
+                const last = samples[i - 1];
+                if (last.time - samples[anchor].time >= this.options.dwellMs) {
+                    candidates.push({
+                        start: samples[anchor].time,
+                        end: last.time,
+                        x: samples[anchor].x,
+                        y: samples[anchor].y,
+                        weight: 1
+                    });
+                }
+                anchor = i;
+            }
+        }
+
+        return candidates;
+    }
+
+    findFastIntervals() {
+        const samples = this.track.samples;
+        const intervals = [];
+
+        for (let i = 1; i < samples.length; i++) {
+            const elapsed = samples[i].time - samples[i - 1].time;
+            if (elapsed <= 0) continue;
+
+            const speed = this.distance(samples[i], samples[i - 1]) / (elapsed / 1000);
+            if (speed < this.options.fastSpeed) continue;
+
+            const previous = intervals[intervals.length - 1];
+            if (previous && samples[i - 1].time - previous.end < 100) {
+                previous.end = samples[i].time;
+            } else {
+                intervals.push({ start: samples[i - 1].time, end: samples[i].time });
+            }
+        }
+
+        return intervals;
+    }
+
+    mergeCandidates(candidates) {
+        const merged = [];
+
+        candidates.forEach(candidate => {
+            const previous = merged[merged.length - 1];
+            const closeInTime = previous && candidate.start - previous.end <= this.options.mergeGapMs;
+            const closeInSpace = previous && this.distance(candidate, previous) <= this.options.mergeDistance;
+
+            if (closeInTime && closeInSpace) {
+                const total = previous.weight + candidate.weight;
+                previous.x = (previous.x * previous.weight + candidate.x * candidate.weight) / total;
+                previous.y = (previous.y * previous.weight + candidate.y * candidate.weight) / total;
+                previous.weight = total;
+                previous.end = Math.max(previous.end, candidate.end);
+            } else {
+                merged.push({ ...candidate });
+            }
+        });
+
+        return merged;
+    }
+
+    // Fast movement inside a segment means the viewer needs context, so zoom out there
+    cutByIntervals(candidate, intervals) {
+        let parts = [{ ...candidate }];
+
+        intervals.forEach(interval => {
+            parts = parts.flatMap(part => {
+                if (interval.end <= part.start || interval.start >= part.end) {
+                    return [part];
+                }
+                return [
+                    { ...part, end: interval.start },
+                    { ...part, start: interval.end }
+                ].filter(piece => piece.end > piece.start);
+            });
+        });
+
+        return parts;
+    }
+
+    getCamera(time) {
+        const active = [];
+
+        this.segments.forEach(segment => {
+            const level = this.getSegmentLevel(segment, time);
+            if (level > 0) {
+                active.push({ segment, level });
+            }
+        });
+
+        if (active.length === 0) {
+            return { scale: 1, x: 0.5, y: 0.5 };
+        }
+
+        const totalLevel = active.reduce((sum, item) => sum + item.level, 0);
+        let scale = 1;
+        let x = 0;
+        let y = 0;
+
+        active.forEach(({ segment, level }) => {
+            scale = Math.max(scale, 1 + (segment.scale - 1) * level);
+            x += segment.x * level / totalLevel;
+            y += segment.y * level / totalLevel;
+        });
+
+        return this.clampCamera({ scale, x, y });
+    }
+
+    getSegmentLevel(segment, time) {
+        const easing = ZOOM_EASINGS[segment.easing] || ZOOM_EASINGS[this.options.easing];
+        const transition = Math.min(this.options.transitionMs, (segment.end - segment.start) / 2);
+
+        if (time < segment.start || transition <= 0) {
+            return 0;
+        }
+        if (time < segment.start + transition) {
+            return easing((time - segment.start) / transition);
+        }
+        if (time <= segment.end - transition) {
+            return 1;
+        }
+        if (time <= segment.end) {
+            return easing((segment.end - time) / transition);
+        }
+        return 0;
+    }
+
+    // Keep the zoomed viewport inside the frame
+    clampCamera(camera) {
+        const half = 0.5 / camera.scale;
+        return {
+            scale: camera.scale,
+            x: Math.min(1 - half, Math.max(half, camera.x)),
+            y: Math.min(1 - half, Math.max(half, camera.y))
+        };
+    }
+
+    distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+}
@@ -0,0 +1,243 @@
+// Timeline strip under the player for inspecting and editing zoom segments
+const MIN_SEGMENT_MS = 300;
+const MANUAL_SEGMENT_MS = 2000;
+
+class ZoomTimeline {
+    constructor(options) {
+        this.segments = [];
+        this.duration = 0;
+        this.selectedId = null;
+        this.dragState = null;
+
+        this.onChange = options.onChange || (() => {});
+        this.onSeek = options.onSeek || (() => {});
+        this.onAdd = options.onAdd || (() => null);
+        this.onReset = options.onReset || (() => null);
+
+        this.element = this.render();
+        this.bindEvents();
+    }
+
+    render() {
+        const container = document.createElement('div');
+        container.className = 'zoom-timeline';
+        container.innerHTML = `
+            <div class="zoom-timeline-header">
+                <strong>🔍 Zoom Timeline</strong>
+                <div class="zoom-timeline-actions">
+                    <button class="player-button" data-role="add">➕ Add Zoom</button>
+                    <button class="player-button" data-role="reset">↺ Reset to Auto</button>
+                </div>
+            </div>
+            <div class="zoom-track" data-role="track">
+                <div class="zoom-playhead" data-role="playhead"></div>
+            </div>
+            <div class="zoom-segment-panel" data-role="panel"></div>
+        `;
+
+        this.track = container.querySelector('[data-role="track"]');
+        this.playhead = container.querySelector('[data-role="playhead"]');
+        this.panel = container.querySelector('[data-role="panel"]');
+        this.addButton = container.querySelector('[data-role="add"]');
+        this.resetButton = container.querySelector('[data-role="reset"]');
+
+        return container;
+    }
+
+    bindEvents() {
+        this.addButton.addEventListener('click', () => {
+            const segment = this.onAdd(MANUAL_SEGMENT_MS);
+            if (segment) {
+                this.segments.push(segment);
+                this.selectedId = segment.id;
+                this.commit();
+            }
+        });
+
+        this.resetButton.addEventListener('click', () => {
+            if (!confirm('Replace all zoom segments with automatically detected ones?')) {
+                return;
+            }
+            const segments = this.onReset();
+            if (segments) {
+                this.selectedId = null;
+                this.setSegments(segments);
+                this.onChange(this.segments);
+            }
+        });
+
+        this.track.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+        this.track.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+        this.track.addEventListener('pointerup', (event) => this.handlePointerUp(event));
+        this.track.addEventListener('pointercancel', (event) => this.handlePointerUp(event));
+    }
+
+    setSegments(segments) {
+        this.segments = segments.map(segment => ({ ...segment }));
+        this.renderSegments();
+        this.renderPanel();
+    }
+
+    setDuration(durationMs) {
+        if (durationMs > 0 && durationMs !== this.duration) {
+            this.duration = durationMs;
+            this.renderSegments();
+        }
+    }
+
+    setTime(timeMs) {
+        if (this.duration > 0) {
+            this.playhead.style.left = `${Math.min(100, timeMs / this.duration * 100)}%`;
+        }
+    }
+
+    renderSegments() {
+        this.track.querySelectorAll('.zoom-segment').forEach(node => node.remove());
+
+        if (this.duration <= 0) {
+            return;
+        }
+
+        this.segments.forEach(segment => {
+            const block = document.createElement('div');
+            block.className = 'zoom-segment';
+            block.dataset.id = segment.id;
+            block.classList.toggle('selected', segment.id === this.selectedId);
+            block.classList.toggle('manual', segment.source === 'manual');
+            block.style.left = `${segment.start / this.duration * 100}%`;
+            block.style.width = `${(segment.end - segment.start) / this.duration * 100}%`;
+            block.title = `${segment.scale.toFixed(1)}× · ${segment.easing}`;
+            block.innerHTML = `
+                <div class="zoom-handle" data-handle="start"></div>
+                <span class="zoom-segment-label">${segment.scale.toFixed(1)}×</span>
+                <div class="zoom-handle" data-handle="end"></div>
+            `;
+            this.track.insertBefore(block, this.playhead);
+        });
+    }
+
+    renderPanel() {
+        const segment = this.getSelected();
+
+        if (!segment) {
+            this.panel.innerHTML = '<span class="zoom-panel-hint">Select a segment to edit it. Drag to move, drag its edges to resize.</span>';
+            return;
+        }
+
+        const easingOptions = Object.keys(ZOOM_EASINGS)
+            .map(name => `<option value="${name}" ${name === segment.easing ? 'selected' : ''}>${name}</option>`)
+            .join('');
+
+        this.panel.innerHTML = `
+            <label>Zoom
+                <input type="range" min="1.2" max="4" step="0.1" value="${segment.scale}" data-field="scale">
+                <span data-role="scaleValue">${segment.scale.toFixed(1)}×</span>
+            </label>
+            <label>Easing
+                <select data-field="easing">${easingOptions}</select>
+            </label>
+            <button class="player-button" data-role="delete">🗑️ Delete</button>
+        `;
+
+        const scaleInput = this.panel.querySelector('[data-field="scale"]');
+        scaleInput.addEventListener('input', () => {
+            segment.scale = parseFloat(scaleInput.value);
+            this.panel.querySelector('[data-role="scaleValue"]').textContent = `${segment.scale.toFixed(1)}×`;
+            this.renderSegments();
+        });
+        scaleInput.addEventListener('change', () => this.commit());
+
+        this.panel.querySelector('[data-field="easing"]').addEventListener('change', (event) => {
+            segment.easing = event.target.value;
+            this.commit();
+        });
+
+        this.panel.querySelector('[data-role="delete"]').addEventListener('click', () => {
+            this.segments = this.segments.filter(item => item.id !== segment.id);
+            this.selectedId = null;
+            this.commit();
+        });
+    }
+
+    getSelected() {
+        return this.segments.find(segment => segment.id === this.selectedId) || null;
+    }
+
+    handlePointerDown(event) {
+        const block = event.target.closest('.zoom-segment');
+
+        if (!block) {
+            this.selectedId = null;
+            this.renderSegments();
+            this.renderPanel();
+            this.onSeek(this.timeFromEvent(event));
+            return;
+        }
+
+        const segment = this.segments.find(item => item.id === block.dataset.id);
+        this.selectedId = segment.id;
+        this.dragState = {
+            segment,
+            mode: event.target.dataset.handle || 'move',
+            originX: event.clientX,
+            originStart: segment.start,
+            originEnd: segment.end,
+            moved: false
+        };
+
+        this.track.setPointerCapture(event.pointerId);
+        this.renderSegments();
+        this.renderPanel();
+        event.preventDefault();
+    }
+
+    handlePointerMove(event) {
+        if (!this.dragState) {
+            return;
+        }
+
+        const state = this.dragState;
+        const delta = (event.clientX - state.originX) / this.track.clientWidth * this.duration;
+        const segment = state.segment;
+
+        if (state.mode === 'move') {
+            const length = state.originEnd - state.originStart;
+            segment.start = Math.round(Math.min(Math.max(0, state.originStart + delta), this.duration - length));
+            segment.end = segment.start + length;
+        } else if (state.mode === 'start') {
+            segment.start = Math.round(Math.min(Math.max(0, state.originStart + delta), segment.end - MIN_SEGMENT_MS));
+        } else {
+            segment.end = Math.round(Math.max(Math.min(this.duration, state.originEnd + delta), segment.start + MIN_SEGMENT_MS));
+        }
+
+        state.moved = true;
+        this.renderSegments();
+    }
+
+    handlePointerUp(event) {
+        if (!this.dragState) {
+            return;
+        }
+
+        const moved = this.dragState.moved;
+        this.dragState = null;
+        this.track.releasePointerCapture(event.pointerId);
+
+        if (moved) {
+            this.commit();
+        }
+    }
+
+    timeFromEvent(event) {
+        const rect = this.track.getBoundingClientRect();
+        const ratio = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+        return ratio * this.duration;
+    }
+
+    commit() {
+        this.segments.sort((a, b) => a.start - b.start);
+        this.renderSegments();
+        this.renderPanel();
+        this.onChange(this.segments);
+    }
+}
@@ -0,0 +1,426 @@
+// CursorFlow Offscreen Recorder
+// Owns the capture stream and MediaRecorder so recordings survive tab navigation and switches
+class OffscreenRecorder {
+    constructor() {
+        this.mediaRecorder = null;
+        this.webcamRecorder = null;
+        this.capture = null;
+        this.stream = null;
+        this.sourceStreams = [];
+        this.mixer = null;
+        this.store = new RecordingStore();
+        this.codecs = new CodecNegotiator();
+        this.encoding = null;
+        this.recordingId = null;
+        this.chunkSeqs = { screen: 0, webcam: 0 };
+        this.pendingWrites = new Set();
+        this.failedChunks = [];
+        this.downloadUrls = new Set();
+        this.init();
+    }
+
+    init() {
+        this.bindEvents();
+        console.log('CursorFlow offscreen recorder initialized');
+    }
+
+    bindEvents() {
+        chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+            // Every extension context sees runtime messages; only answer the ones addressed here
+            if (message.target !== 'offscreen') {
+                return false;
+            }
+
+            this.handleMessage(message, sendResponse);
+            return true;
+        });
+    }
+
+    async handleMessage(message, sendResponse) {
+        try {
+            switch (message.action) {
+                case 'OFFSCREEN_PREPARE_RECORDING':
+                    const result = await this.prepareRecording(message.data);
+                    sendResponse(result);
+                    break;
+
+                case 'OFFSCREEN_START_RECORDING':
+                    sendResponse(this.startRecording());
+                    break;
+
+                case 'OFFSCREEN_CANCEL_RECORDING':
+                    this.cancelRecording();
+                    sendResponse({ success: true });
+                    break;
+
+                case 'OFFSCREEN_STOP_RECORDING':
+                    const stopResult = await this.stopRecording();
+                    sendResponse(stopResult);
+                    break;
+
+                case 'OFFSCREEN_PAUSE_RECORDING':
+                    sendResponse(this.pauseRecording());
+                    break;
+
+                case 'OFFSCREEN_RESUME_RECORDING':
+                    sendResponse(this.resumeRecording());
+                    break;
+
+                case 'OFFSCREEN_SET_AUDIO_GAIN':
+                    if (this.mixer) {
+                        this.mixer.setGain(message.data.source, message.data.gain);
+                    }
+                    sendResponse({ success: true });
+                    break;
+
+                case 'OFFSCREEN_GET_AUDIO_LEVELS':
+                    sendResponse({ success: true, levels: this.mixer ? this.mixer.getLevels() : {} });
+                    break;
+
+                case 'OFFSCREEN_PREPARE_DOWNLOAD':
+                    const url = await this.prepareDownload(message.data);
+                    sendResponse({ success: true, url });
+                    break;
+
+                case 'OFFSCREEN_RELEASE_DOWNLOAD':
+                    this.releaseDownload(message.data.url);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'OFFSCREEN_GET_STATE':
+                    sendResponse({
+                        success: true,
+                        state: this.mediaRecorder ? this.mediaRecorder.state : 'inactive'
+                    });
+                    break;
+
+                default:
+                    sendResponse({ success: false, error: 'Unknown action' });
+            }
+        } catch (error) {
+            console.error('Error handling offscreen message:', error);
+            sendResponse({ success: false, error: error.message });
+        }
+    }
+
+    // Acquires every stream and builds the recorders without starting them, so a countdown
+    // can run between picking the surface and the first recorded frame
+    async prepareRecording({ recordingId, streamId, settings }) {
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            return { success: false, error: 'Already recording' };
+        }
+
+        // A capture prepared for a start that never happened still holds its streams
+        this.cancelRecording();
+
+        this.recordingId = recordingId;
+        this.chunkSeqs = { screen: 0, webcam: 0 };
+        this.failedChunks = [];
+
+        const audio = settings.audio || { system: true, microphone: false };
+        const captureStream = await this.getCaptureStream(streamId, settings, audio.system);
+        const microphoneStream = audio.microphone ? await this.getMicrophoneStream(audio.micDeviceId) : null;
+        const webcam = settings.webcam || { enabled: false };
+        const webcamStream = webcam.enabled ? await this.getWebcamStream(webcam.deviceId) : null;
+        this.sourceStreams = [captureStream, microphoneStream, webcamStream].filter(Boolean);
+
+        const videoTrack = captureStream.getVideoTracks()[0];
+        const trackSettings = videoTrack.getSettings();
+        const capture = {
+            displaySurface: trackSettings.displaySurface || null,
+            width: trackSettings.width,
+            height: trackSettings.height,
+            audio: {
+                system: captureStream.getAudioTracks().length > 0,
+                microphone: microphoneStream !== null
+            }
+        };
+
+        // Both sources go through Web Audio so each keeps its own gain
+        this.mixer = new AudioMixer();
+        const audioTrack = this.mixer.createTrack(
+            { system: captureStream, microphone: microphoneStream },
+            { system: audio.systemGain, microphone: audio.micGain },
+            { monitorSystem: capture.displaySurface === 'browser' }
+        );
+
+        this.stream = new MediaStream(audioTrack ? [videoTrack, audioTrack] : [videoTrack]);
+
+        const negotiated = this.codecs.negotiate(settings.codec);
+        const bitrates = this.codecs.getBitrates(settings.quality, settings.bitrate, settings.fps);
+        this.encoding = {
+            requestedCodec: settings.codec || 'auto',
+            codec: negotiated.codec,
+            mimeType: negotiated.mimeType,
+            fallback: negotiated.fallback,
+            videoBitsPerSecond: bitrates.video,
+            audioBitsPerSecond: audioTrack ? bitrates.audio : 0
+        };
+        console.log('Negotiated encoding:', this.encoding);
+
+        this.mediaRecorder = this.createRecorder(this.stream, 'screen', {
+            videoBitsPerSecond: bitrates.video,
+            audioBitsPerSecond: bitrates.audio
+        });
+
+        this.mediaRecorder.onstop = () => {
+            console.log('MediaRecorder stopped');
+            this.releaseStream();
+        };
+
+        // Stopping the share from Chrome's own "Stop sharing" bar ends the track, not the recorder
+        videoTrack.addEventListener('ended', () => {
+            chrome.runtime.sendMessage({ action: 'CAPTURE_ENDED' })
+                .catch(err => console.log('Send capture ended error:', err));
+        });
+
+        // The webcam is its own track so the editor can move, resize and hide it afterwards
+        capture.webcam = null;
+        if (webcamStream) {
+            const webcamSettings = webcamStream.getVideoTracks()[0].getSettings();
+            this.webcamRecorder = this.createRecorder(webcamStream, 'webcam', {
+                videoBitsPerSecond: WEBCAM_BITRATE
+            });
+
+            capture.webcam = {
+                width: webcamSettings.width,
+                height: webcamSettings.height,
+                startOffset: 0
+            };
+        }
+
+        this.capture = capture;
+        return { success: true, capture };
+    }
+
+    startRecording() {
+        if (!this.mediaRecorder || this.mediaRecorder.state !== 'inactive') {
+            return { success: false, error: 'Recording not prepared' };
+        }
+
+        const screenStartedAt = performance.now();
+        this.mediaRecorder.start(1000); // Record in 1-second chunks
+        console.log('MediaRecorder started');
+
+        if (this.webcamRecorder) {
+            this.webcamRecorder.start(1000);
+            this.capture.webcam.startOffset = Math.round(performance.now() - screenStartedAt);
+            this.capture.webcam.mimeType = this.webcamRecorder.mimeType || this.encoding.mimeType;
+        }
+
+        // Only a started recorder reports what it is really producing
+        this.capture.encoding = {
+            ...this.encoding,
+            mimeType: this.mediaRecorder.mimeType || this.encoding.mimeType
+        };
+
+        return { success: true, capture: this.capture };
+    }
+
+    cancelRecording() {
+        if (this.mediaRecorder && this.mediaRecorder.state === 'inactive') {
+            this.mediaRecorder = null;
+            this.webcamRecorder = null;
+            this.releaseStream();
+        }
+    }
+
+    createRecorder(stream, track, bitrates) {
+        const options = { ...bitrates };
+        if (this.encoding.mimeType) {
+            options.mimeType = this.encoding.mimeType;
+        }
+
+        const recorder = new MediaRecorder(stream, options);
+
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                console.log(`${track} chunk received:`, event.data.size, 'bytes');
+                this.storeChunk(track, event.data);
+            }
+        };
+
+        return recorder;
+    }
+
+    async getCaptureStream(streamId, settings, withAudio) {
+        const video = {
+            mandatory: {
+                chromeMediaSource: 'desktop',
+                chromeMediaSourceId: streamId,
+                maxWidth: settings.resolution.width,
+                maxHeight: settings.resolution.height,
+                maxFrameRate: settings.fps
+            }
+        };
+
+        if (!withAudio) {
+            return navigator.mediaDevices.getUserMedia({ video, audio: false });
+        }
+
+        try {
+            return await navigator.mediaDevices.getUserMedia({
+                video,
+                audio: {
+                    mandatory: {
+                        chromeMediaSource: 'desktop',
+                        chromeMediaSourceId: streamId
+                    }
+                }
+            });
+        } catch (error) {
+            // The picked surface may not share audio
+            console.log('Capturing without audio:', error.message);
+            return navigator.mediaDevices.getUserMedia({ video, audio: false });
+        }
+    }
+
+    // Permission is granted once from an extension tab; offscreen documents cannot prompt
+    async getMicrophoneStream(deviceId) {
+        try {
+            return await navigator.mediaDevices.getUserMedia({
+                audio: deviceId && deviceId !== 'default' ? { deviceId: { exact: deviceId } } : true
+            });
+        } catch (error) {
+            console.log('Recording without microphone:', error.message);
+            return null;
+        }
+    }
+
+    async getWebcamStream(deviceId) {
+        try {
+            return await navigator.mediaDevices.getUserMedia({
+                video: {
+                    deviceId: deviceId && deviceId !== 'default' ? { exact: deviceId } : undefined,
+                    width: { ideal: 640 },
+                    height: { ideal: 480 }
+                },
+                audio: false
+            });
+        } catch (error) {
+            console.log('Recording without webcam:', error.message);
+            return null;
+        }
+    }
+
+    getRecorders() {
+        return [this.mediaRecorder, this.webcamRecorder].filter(recorder => recorder && recorder.state !== 'inactive');
+    }
+
+    stopRecording() {
+        if (!this.mediaRecorder || this.mediaRecorder.state === 'inactive') {
+            return { success: false, error: 'Not recording' };
+        }
+
+        const stopped = Promise.all(this.getRecorders().map(recorder => new Promise(resolve => {
+            recorder.addEventListener('stop', resolve, { once: true });
+        })));
+
+        console.log('Stopping MediaRecorder...');
+        this.getRecorders().forEach(recorder => recorder.stop());
+
+        return this.finishFlush(stopped);
+    }
+
+    // A paused MediaRecorder leaves the paused span out of the video timeline
+    pauseRecording() {
+        if (!this.mediaRecorder || this.mediaRecorder.state !== 'recording') {
+            return { success: false, error: 'Not recording' };
+        }
+
+        this.getRecorders().forEach(recorder => recorder.pause());
+        return { success: true, state: this.mediaRecorder.state };
+    }
+
+    resumeRecording() {
+        if (!this.mediaRecorder || this.mediaRecorder.state !== 'paused') {
+            return { success: false, error: 'Not paused' };
+        }
+
+        this.getRecorders().forEach(recorder => recorder.resume());
+        return { success: true, state: this.mediaRecorder.state };
+    }
+
+    // The final dataavailable fires before stop, so once stop has fired every chunk is
+    // either written or in pendingWrites
+    async finishFlush(stopped) {
+        await stopped;
+        await Promise.all([...this.pendingWrites]);
+
+        const chunkCount = this.chunkSeqs.screen + this.chunkSeqs.webcam;
+        console.log('Flushed', chunkCount, 'chunks');
+        this.webcamRecorder = null;
+
+        return {
+            success: true,
+            chunkCount,
+            tracks: { ...this.chunkSeqs },
+            lastSeq: this.chunkSeqs.screen - 1,
+            failedChunks: this.failedChunks
+        };
+    }
+
+    storeChunk(track, blob) {
+        const write = this.writeChunk(track, this.chunkSeqs[track]++, blob);
+        this.pendingWrites.add(write);
+        write.finally(() => this.pendingWrites.delete(write));
+    }
+
+    // Chunks go straight to IndexedDB; the service worker only hears about their size
+    async writeChunk(track, seq, blob) {
+        const recordingId = this.recordingId;
+        const storageId = track === 'screen' ? recordingId : this.store.trackId(recordingId, track);
+
+        try {
+            await this.store.appendChunk(storageId, seq, blob);
+        } catch (error) {
+            console.error('Error storing chunk:', error);
+            this.failedChunks.push({ track, seq });
+            return;
+        }
+
+        try {
+            await chrome.runtime.sendMessage({
+                action: 'RECORD_CHUNK',
+                data: { recordingId, track, seq, size: blob.size }
+            });
+        } catch (error) {
+            console.error('Error reporting chunk:', error);
+        }
+    }
+
+    async prepareDownload({ recordingId, mimeType }) {
+        const blob = await this.store.getBlob(recordingId, mimeType);
+        if (!blob) {
+            throw new Error('Recording video not found');
+        }
+
+        const url = URL.createObjectURL(blob);
+        this.downloadUrls.add(url);
+        return url;
+    }
+
+    releaseDownload(url) {
+        if (this.downloadUrls.delete(url)) {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    releaseStream() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+
+        this.sourceStreams.forEach(stream => stream.getTracks().forEach(track => track.stop()));
+        this.sourceStreams = [];
+
+        if (this.mixer) {
+            this.mixer.close();
+            this.mixer = null;
+        }
+    }
+}
+
+// Initialize the offscreen recorder
+const offscreenRecorder = new OffscreenRecorder();
@@ -0,0 +1,23 @@
+// Extension popups and offscreen documents cannot show the permission prompt, so it is asked for from a tab once
+document.addEventListener('DOMContentLoaded', async () => {
+    const message = document.getElementById('message');
+    const device = new URLSearchParams(location.search).get('device') || 'microphone';
+    const label = device === 'camera' ? 'Camera' : 'Microphone';
+
+    message.textContent = device === 'camera'
+        ? 'Allow camera access so CursorFlow can record your webcam.'
+        : 'Allow microphone access so CursorFlow can record your voice.';
+
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia(
+            device === 'camera' ? { video: true } : { audio: true }
+        );
+        stream.getTracks().forEach(track => track.stop());
+
+        message.textContent = `${label} enabled. Open CursorFlow again to pick a device.`;
+        setTimeout(() => window.close(), 1500);
+    } catch (error) {
+        console.error(`${label} permission denied:`, error);
+        message.textContent = `${label} access was blocked. Allow it from the site settings for this extension, then try again.`;
+    }
+});
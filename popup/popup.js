@@ -1,25 +1,104 @@
+const AUDIO_SETTINGS_KEY = 'audio_settings';
+
+const AUDIO_DEFAULTS = {
+    system: true,
+    microphone: false,
+    micDeviceId: 'default',
+    systemGain: 1,
+    micGain: 1
+};
+
+const WEBCAM_SETTINGS_KEY = 'webcam_settings';
+
+const WEBCAM_DEFAULTS = {
+    enabled: false,
+    deviceId: 'default'
+};
+
+const KEYSTROKE_SETTINGS_KEY = 'keystroke_settings';
+
+const KEYSTROKE_DEFAULTS = {
+    enabled: false,
+    redactSelectors: ''
+};
+
+const BLUR_SETTINGS_KEY = 'blur_settings';
+
+// Selectors are kept per site (hostname); detection and live blur apply everywhere
+const BLUR_DEFAULTS = {
+    enabled: false,
+    emails: true,
+    cards: true,
+    passwords: true,
+    liveBlur: true,
+    siteSelectors: {}
+};
+
 class PopupController {
     constructor() {
         this.isRecording = false;
+        this.isPaused = false;
+        this.audioSettings = { ...AUDIO_DEFAULTS };
+        this.webcamSettings = { ...WEBCAM_DEFAULTS };
+        this.keystrokeSettings = { ...KEYSTROKE_DEFAULTS };
+        this.blurSettings = { ...BLUR_DEFAULTS, siteSelectors: {} };
+        this.siteHost = null;
+        this.micPreview = null;
+        this.micPreviewStream = null;
+        this.levelTimer = null;
+        this.statusTimer = null;
+        this.elapsed = 0;
+        this.codecs = new CodecNegotiator();
         this.init();
     }
 
     init() {
         this.bindEvents();
         this.loadRecordings();
-        this.checkRecordingStatus();
+        this.loadShortcuts();
+        this.loadCodecOptions();
+        this.updateBitrateLabels();
+        Promise.all([this.loadAudioSettings(), this.loadWebcamSettings(), this.loadKeystrokeSettings(), this.loadBlurSettings()])
+            .then(() => this.checkRecordingStatus());
     }
 
     bindEvents() {
         document.getElementById('startBtn').addEventListener('click', () => this.startRecording());
         document.getElementById('stopBtn').addEventListener('click', () => this.stopRecording());
+        document.getElementById('pauseBtn').addEventListener('click', () => this.togglePause());
+
+        // Bitrate labels follow the quality preset and frame rate
+        document.getElementById('qualitySelect').addEventListener('change', () => this.updateBitrateLabels());
+        document.getElementById('fpsSelect').addEventListener('change', () => this.updateBitrateLabels());
+
+        // Audio sources
+        document.getElementById('systemAudioToggle').addEventListener('change', (e) => this.updateAudioSetting('system', e.target.checked));
+        document.getElementById('micToggle').addEventListener('change', (e) => this.updateAudioSetting('microphone', e.target.checked));
+        document.getElementById('micDeviceSelect').addEventListener('change', (e) => this.updateAudioSetting('micDeviceId', e.target.value));
+        document.getElementById('systemGainRange').addEventListener('input', (e) => this.updateAudioSetting('systemGain', parseFloat(e.target.value)));
+        document.getElementById('micGainRange').addEventListener('input', (e) => this.updateAudioSetting('micGain', parseFloat(e.target.value)));
+
+        // Webcam
+        document.getElementById('webcamToggle').addEventListener('change', (e) => this.updateWebcamSetting('enabled', e.target.checked));
+        document.getElementById('webcamDeviceSelect').addEventListener('change', (e) => this.updateWebcamSetting('deviceId', e.target.value));
+
+        // Keystrokes
+        document.getElementById('keystrokeToggle').addEventListener('change', (e) => this.updateKeystrokeSetting('enabled', e.target.checked));
+        document.getElementById('redactSelectorsInput').addEventListener('change', (e) => this.updateKeystrokeSetting('redactSelectors', e.target.value.trim()));
+
+        // Sensitive data blurring
+        ['blurToggle', 'blurEmailsToggle', 'blurCardsToggle', 'blurPasswordsToggle', 'liveBlurToggle'].forEach(id => {
+            document.getElementById(id).addEventListener('change', (e) => this.updateBlurSetting(e.target.dataset.field, e.target.checked));
+        });
+        document.getElementById('blurSelectorsInput').addEventListener('change', (e) => this.updateBlurSelectors(e.target.value.trim()));
         document.getElementById('viewRecordingsBtn').addEventListener('click', () => this.openRecordingsTab());
     }
 
     async checkRecordingStatus() {
         try {
             const response = await chrome.runtime.sendMessage({ action: 'GET_STATUS' });
-            this.updateUI(response.isRecording);
+            this.elapsed = response.elapsed || 0;
+            this.updateUI(response.isRecording, response.isPaused);
         } catch (error) {
             console.error('Error checking recording status:', error);
         }
@@ -27,6 +106,10 @@ class PopupController {
 
     async startRecording() {
         try {
+            if (!(await this.confirmStorageSpace())) {
+                return;
+            }
+
             const settings = this.getSettings();
 
             const response = await chrome.runtime.sendMessage({
@@ -36,6 +119,9 @@ class PopupController {
 
             if (response.success) {
                 this.updateUI(true);
+                if (response.warning) {
+                    this.showError(response.warning);
+                }
             } else {
                 this.showError(response.error || 'Failed to start recording');
             }
@@ -63,6 +149,8 @@ class PopupController {
                 this.loadRecordings(); // Refresh recordings list
             } else {
                 this.showError(response.error || 'Failed to stop recording');
+                // A flush error still ends the recording
+                this.checkRecordingStatus();
             }
         } catch (error) {
             console.error('Error stopping recording:', error);
@@ -70,10 +158,374 @@ class PopupController {
         }
     }
 
+    async togglePause() {
+        const action = this.isPaused ? 'RESUME_RECORDING' : 'PAUSE_RECORDING';
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action });
+
+            if (response.success) {
+                this.updateUI(true, !this.isPaused);
+            } else {
+                this.showError(response.error || 'Failed to pause recording');
+            }
+        } catch (error) {
+            console.error('Error toggling pause:', error);
+            this.showError('Failed to pause recording');
+        }
+    }
+
+    async confirmStorageSpace() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'GET_STORAGE_STATUS' });
+            if (!response.success || !response.status.lowSpace) {
+                return true;
+            }
+
+            const availableMb = Math.round(response.status.availableBytes / (1024 * 1024));
+            return confirm(`Storage is running low (${availableMb} MB left). The recording may not be saved completely. Record anyway?`);
+        } catch (error) {
+            console.error('Error checking storage:', error);
+            return true;
+        }
+    }
+
+    async loadShortcuts() {
+        const labels = {
+            'start-recording': 'Start',
+            'stop-recording': 'Stop',
+            'toggle-pause': 'Pause'
+        };
+
+        try {
+            const commands = await chrome.commands.getAll();
+            document.getElementById('shortcutsHint').textContent = commands
+                .filter(command => labels[command.name] && command.shortcut)
+                .map(command => `${labels[command.name]}: ${command.shortcut}`)
+                .join(' · ');
+        } catch (error) {
+            console.error('Error loading shortcuts:', error);
+        }
+    }
+
+    // Only codecs this browser can actually record are selectable
+    loadCodecOptions() {
+        const select = document.getElementById('codecSelect');
+
+        Object.entries(RECORDING_CODECS).forEach(([id, codec]) => {
+            const option = document.createElement('option');
+            const supported = this.codecs.isSupported(id);
+            option.value = id;
+            option.textContent = supported ? codec.label : `${codec.label} (unsupported)`;
+            option.disabled = !supported;
+            select.appendChild(option);
+        });
+    }
+
+    updateBitrateLabels() {
+        const quality = document.getElementById('qualitySelect').value;
+        const fps = parseInt(document.getElementById('fpsSelect').value);
+        const labels = { low: 'Low', medium: 'Standard', high: 'High' };
+
+        document.querySelectorAll('#bitrateSelect option').forEach(option => {
+            const bitrates = this.codecs.getBitrates(quality, option.value, fps);
+            option.textContent = `${labels[option.value]} (${(bitrates.video / 1000000).toFixed(1)} Mbps)`;
+        });
+    }
+
+    async loadAudioSettings() {
+        try {
+            const result = await chrome.storage.local.get([AUDIO_SETTINGS_KEY]);
+            this.audioSettings = { ...AUDIO_DEFAULTS, ...(result[AUDIO_SETTINGS_KEY] || {}) };
+        } catch (error) {
+            console.error('Error loading audio settings:', error);
+        }
+        this.applyAudioControls();
+    }
+
+    updateAudioSetting(field, value) {
+        this.audioSettings[field] = value;
+        chrome.storage.local.set({ [AUDIO_SETTINGS_KEY]: this.audioSettings });
+
+        if (field === 'systemGain' || field === 'micGain') {
+            const source = field === 'micGain' ? 'microphone' : 'system';
+            if (this.isRecording) {
+                chrome.runtime.sendMessage({ action: 'SET_AUDIO_GAIN', data: { source, gain: value } });
+            } else if (this.micPreview) {
+                this.micPreview.setGain(source, value);
+            }
+        }
+
+        if (field === 'microphone' || field === 'micDeviceId') {
+            this.refreshMicrophone(field === 'microphone');
+        }
+
+        this.applyAudioControls();
+    }
+
+    applyAudioControls() {
+        const settings = this.audioSettings;
+
+        document.getElementById('systemAudioToggle').checked = settings.system;
+        document.getElementById('micToggle').checked = settings.microphone;
+        document.getElementById('systemGainRange').value = settings.systemGain;
+        document.getElementById('micGainRange').value = settings.micGain;
+        document.getElementById('micDeviceSelect').value = settings.micDeviceId;
+        document.getElementById('micDeviceRow').classList.toggle('hidden', !settings.microphone);
+
+        // Sources are fixed once the capture starts; only the gains stay live
+        document.getElementById('systemAudioToggle').disabled = this.isRecording;
+        document.getElementById('micToggle').disabled = this.isRecording;
+        document.getElementById('micDeviceSelect').disabled = this.isRecording;
+        document.getElementById('webcamToggle').disabled = this.isRecording;
+        document.getElementById('webcamDeviceSelect').disabled = this.isRecording;
+        document.getElementById('keystrokeToggle').disabled = this.isRecording;
+        document.getElementById('redactSelectorsInput').disabled = this.isRecording;
+        document.querySelectorAll('#blurToggle, #blurOptionsRow input, #blurSelectorsInput, #liveBlurToggle').forEach(input => {
+            input.disabled = this.isRecording;
+        });
+    }
+
+    updateAudioMonitoring() {
+        this.applyAudioControls();
+
+        if (this.isRecording) {
+            this.stopMicPreview();
+            this.startLevelMeter();
+        } else if (!this.micPreview) {
+            this.refreshMicrophone();
+        }
+    }
+
+    async refreshMicrophone(requestPermission = false) {
+        this.stopMicPreview();
+
+        if (!this.audioSettings.microphone || this.isRecording) {
+            this.renderLevels({});
+            return;
+        }
+
+        if (!(await this.ensurePermission('microphone', requestPermission))) {
+            return;
+        }
+
+        this.audioSettings.micDeviceId = await this.loadDevices('audioinput', 'micDeviceSelect', this.audioSettings.micDeviceId);
+        await this.startMicPreview();
+    }
+
+    // The popup cannot show the permission prompt itself, so it opens a tab that can
+    async ensurePermission(device, requestPermission) {
+        try {
+            const status = await navigator.permissions.query({ name: device });
+            if (status.state === 'granted') {
+                return true;
+            }
+        } catch (error) {
+            console.error(`Error checking ${device} permission:`, error);
+        }
+
+        if (requestPermission) {
+            chrome.tabs.create({ url: chrome.runtime.getURL(`popup/media-permission.html?device=${device}`) });
+        }
+        return false;
+    }
+
+    // Fills a device select and returns the selection, falling back to the default device
+    async loadDevices(kind, selectId, selectedId) {
+        const select = document.getElementById(selectId);
+        const devices = (await navigator.mediaDevices.enumerateDevices())
+            .filter(device => device.kind === kind && device.deviceId !== 'default');
+
+        select.innerHTML = '<option value="default">Default</option>';
+        devices.forEach((device, index) => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label || `${kind === 'videoinput' ? 'Camera' : 'Microphone'} ${index + 1}`;
+            select.appendChild(option);
+        });
+
+        const value = devices.some(device => device.deviceId === selectedId) ? selectedId : 'default';
+        select.value = value;
+        return value;
+    }
+
+    async loadWebcamSettings() {
+        try {
+            const result = await chrome.storage.local.get([WEBCAM_SETTINGS_KEY]);
+            this.webcamSettings = { ...WEBCAM_DEFAULTS, ...(result[WEBCAM_SETTINGS_KEY] || {}) };
+        } catch (error) {
+            console.error('Error loading webcam settings:', error);
+        }
+        this.refreshWebcam(false);
+    }
+
+    updateWebcamSetting(field, value) {
+        this.webcamSettings[field] = value;
+        chrome.storage.local.set({ [WEBCAM_SETTINGS_KEY]: this.webcamSettings });
+
+        if (field === 'enabled') {
+            this.refreshWebcam(value);
+        }
+    }
+
+    async loadKeystrokeSettings() {
+        try {
+            const result = await chrome.storage.local.get([KEYSTROKE_SETTINGS_KEY]);
+            this.keystrokeSettings = { ...KEYSTROKE_DEFAULTS, ...(result[KEYSTROKE_SETTINGS_KEY] || {}) };
+        } catch (error) {
+            console.error('Error loading keystroke settings:', error);
+        }
+        this.applyKeystrokeControls();
+    }
+
+    updateKeystrokeSetting(field, value) {
+        this.keystrokeSettings[field] = value;
+        chrome.storage.local.set({ [KEYSTROKE_SETTINGS_KEY]: this.keystrokeSettings });
+        this.applyKeystrokeControls();
+    }
+
+    applyKeystrokeControls() {
+        const settings = this.keystrokeSettings;
+        document.getElementById('keystrokeToggle').checked = settings.enabled;
+        document.getElementById('redactSelectorsInput').value = settings.redactSelectors;
+        document.getElementById('redactSelectorsRow').classList.toggle('hidden', !settings.enabled);
+    }
+
+    async loadBlurSettings() {
+        try {
+            const result = await chrome.storage.local.get([BLUR_SETTINGS_KEY]);
+            this.blurSettings = { ...BLUR_DEFAULTS, siteSelectors: {}, ...(result[BLUR_SETTINGS_KEY] || {}) };
+
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            const url = tab && tab.url ? new URL(tab.url) : null;
+            this.siteHost = url && url.hostname ? url.hostname : null;
+        } catch (error) {
+            console.error('Error loading blur settings:', error);
+        }
+        this.applyBlurControls();
+    }
+
+    updateBlurSetting(field, value) {
+        this.blurSettings[field] = value;
+        chrome.storage.local.set({ [BLUR_SETTINGS_KEY]: this.blurSettings });
+        this.applyBlurControls();
+    }
+
+    updateBlurSelectors(selectors) {
+        if (!this.siteHost) {
+            return;
+        }
+
+        if (selectors) {
+            this.blurSettings.siteSelectors[this.siteHost] = selectors;
+        } else {
+            delete this.blurSettings.siteSelectors[this.siteHost];
+        }
+        chrome.storage.local.set({ [BLUR_SETTINGS_KEY]: this.blurSettings });
+    }
+
+    applyBlurControls() {
+        const settings = this.blurSettings;
+        document.getElementById('blurToggle').checked = settings.enabled;
+        document.getElementById('blurEmailsToggle').checked = settings.emails;
+        document.getElementById('blurCardsToggle').checked = settings.cards;
+        document.getElementById('blurPasswordsToggle').checked = settings.passwords;
+        document.getElementById('liveBlurToggle').checked = settings.liveBlur;
+
+        // Site rules need a real site; browser pages have no hostname
+        document.getElementById('blurSiteLabel').textContent = this.siteHost ? `${this.siteHost}:` : 'Site:';
+        const selectorsInput = document.getElementById('blurSelectorsInput');
+        selectorsInput.value = (this.siteHost && settings.siteSelectors[this.siteHost]) || '';
+        selectorsInput.disabled = !this.siteHost || this.isRecording;
+
+        ['blurOptionsRow', 'blurSelectorsRow', 'liveBlurRow'].forEach(id => {
+            document.getElementById(id).classList.toggle('hidden', !settings.enabled);
+        });
+    }
+
+    async refreshWebcam(requestPermission) {
+        const settings = this.webcamSettings;
+
+        document.getElementById('webcamToggle').checked = settings.enabled;
+        document.getElementById('webcamDeviceRow').classList.toggle('hidden', !settings.enabled);
+
+        if (settings.enabled && await this.ensurePermission('camera', requestPermission)) {
+            settings.deviceId = await this.loadDevices('videoinput', 'webcamDeviceSelect', settings.deviceId);
+        }
+    }
+
+    async startMicPreview() {
+        const deviceId = this.audioSettings.micDeviceId;
+
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: deviceId !== 'default' ? { deviceId: { exact: deviceId } } : true
+            });
+
+            this.stopMicPreview();
+            this.micPreviewStream = stream;
+            this.micPreview = new AudioMixer();
+            this.micPreview.createTrack({ microphone: stream }, { microphone: this.audioSettings.micGain });
+            this.startLevelMeter();
+        } catch (error) {
+            console.error('Error starting microphone preview:', error);
+        }
+    }
+
+    stopMicPreview() {
+        if (this.micPreview) {
+            this.micPreview.close();
+            this.micPreview = null;
+        }
+        if (this.micPreviewStream) {
+            this.micPreviewStream.getTracks().forEach(track => track.stop());
+            this.micPreviewStream = null;
+        }
+        this.stopLevelMeter();
+    }
+
+    // Levels come from the local preview before recording and from the offscreen mixer during it
+    startLevelMeter() {
+        this.stopLevelMeter();
+
+        this.levelTimer = setInterval(async () => {
+            try {
+                if (this.isRecording) {
+                    const response = await chrome.runtime.sendMessage({ action: 'GET_AUDIO_LEVELS' });
+                    this.renderLevels(response.success ? response.levels : {});
+                } else if (this.micPreview) {
+                    this.renderLevels(this.micPreview.getLevels());
+                }
+            } catch (error) {
+                this.renderLevels({});
+            }
+        }, 100);
+    }
+
+    stopLevelMeter() {
+        if (this.levelTimer) {
+            clearInterval(this.levelTimer);
+            this.levelTimer = null;
+        }
+        this.renderLevels({});
+    }
+
+    renderLevels(levels) {
+        // Speech RMS rarely passes 0.3, so scale it up to fill the bar
+        document.getElementById('systemLevel').style.width = `${Math.min(100, (levels.system || 0) * 300)}%`;
+        document.getElementById('micLevel').style.width = `${Math.min(100, (levels.microphone || 0) * 300)}%`;
+    }
+
     getSettings() {
         const quality = document.getElementById('qualitySelect').value;
         const fps = parseInt(document.getElementById('fpsSelect').value);
         const autoZoom = document.getElementById('autoZoomSelect').value === 'true';
+        const countdown = parseInt(document.getElementById('countdownSelect').value);
+        const codec = document.getElementById('codecSelect').value;
+        const bitrate = document.getElementById('bitrateSelect').value;
+        const maxDurationMinutes = parseInt(document.getElementById('maxDurationSelect').value);
+        const maxSizeMb = parseInt(document.getElementById('maxSizeSelect').value);
+        const showControlBar = document.getElementById('controlBarToggle').checked;
 
         // Convert quality to resolution
         const resolutions = {
@@ -87,14 +539,26 @@ class PopupController {
             resolution: resolutions[quality],
             fps: fps,
             autoZoom: autoZoom,
+            countdown: countdown,
+            codec: codec,
+            bitrate: bitrate,
+            maxDurationMinutes: maxDurationMinutes,
+            maxSizeMb: maxSizeMb,
+            showControlBar: showControlBar,
+            audio: { ...this.audioSettings },
+            webcam: { ...this.webcamSettings },
+            keystrokes: { ...this.keystrokeSettings },
+            blur: { ...this.blurSettings, siteSelectors: { ...this.blurSettings.siteSelectors } },
             timestamp: Date.now()
         };
     }
 
-    updateUI(isRecording) {
+    updateUI(isRecording, isPaused = false) {
         this.isRecording = isRecording;
+        this.isPaused = isRecording && isPaused;
         const startBtn = document.getElementById('startBtn');
         const stopBtn = document.getElementById('stopBtn');
+        const pauseBtn = document.getElementById('pauseBtn');
         const status = document.getElementById('status');
         const statusIcon = document.getElementById('statusIcon');
         const statusText = document.getElementById('statusText');
@@ -102,16 +566,72 @@ class PopupController {
         if (isRecording) {
             startBtn.classList.add('hidden');
             stopBtn.classList.remove('hidden');
-            status.classList.add('recording');
-            statusIcon.textContent = '🔴';
-            statusText.textContent = 'Recording...';
+            pauseBtn.classList.remove('hidden');
+            pauseBtn.textContent = this.isPaused ? 'Resume Recording' : 'Pause Recording';
+            status.classList.toggle('recording', !this.isPaused);
+            status.classList.toggle('paused', this.isPaused);
+            statusIcon.textContent = this.isPaused ? '⏸️' : '🔴';
+            statusText.textContent = this.getStatusText();
+            this.startStatusTimer();
         } else {
             startBtn.classList.remove('hidden');
             stopBtn.classList.add('hidden');
+            pauseBtn.classList.add('hidden');
             status.classList.remove('recording');
+            status.classList.remove('paused');
             statusIcon.textContent = '⚫';
             statusText.textContent = 'Ready to Record';
+            this.stopStatusTimer();
+        }
+
+        this.updateAudioMonitoring();
+    }
+
+    getStatusText() {
+        if (!this.isRecording) {
+            return 'Ready to Record';
         }
+        return `${this.isPaused ? 'Paused' : 'Recording'} ${this.formatElapsed(this.elapsed)}`;
+    }
+
+    // Keeps the elapsed time in the status line in step with the service worker
+    startStatusTimer() {
+        if (this.statusTimer) {
+            return;
+        }
+
+        this.statusTimer = setInterval(async () => {
+            try {
+                const response = await chrome.runtime.sendMessage({ action: 'GET_STATUS' });
+                if (!response.isRecording) {
+                    this.updateUI(false);
+                    return;
+                }
+
+                this.elapsed = response.elapsed;
+                if (response.isPaused !== this.isPaused) {
+                    // Paused or resumed from a shortcut or the in-page bar
+                    this.updateUI(true, response.isPaused);
+                } else {
+                    document.getElementById('statusText').textContent = this.getStatusText();
+                }
+            } catch (error) {
+                console.error('Error refreshing recording status:', error);
+            }
+        }, 1000);
+    }
+
+    stopStatusTimer() {
+        if (this.statusTimer) {
+            clearInterval(this.statusTimer);
+            this.statusTimer = null;
+        }
+        this.elapsed = 0;
+    }
+
+    formatElapsed(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
     }
 
     async loadRecordings() {
@@ -220,7 +740,7 @@ class PopupController {
 
         setTimeout(() => {
             statusText.style.color = '';
-            statusText.textContent = this.isRecording ? 'Recording...' : 'Ready to Record';
+            statusText.textContent = this.getStatusText();
         }, 3000);
     }
 
@@ -231,7 +751,7 @@ class PopupController {
 
         setTimeout(() => {
             statusText.style.color = '';
-            statusText.textContent = this.isRecording ? 'Recording...' : 'Ready to Record';
+            statusText.textContent = this.getStatusText();
         }, 3000);
     }
 }
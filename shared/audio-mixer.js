@@ -0,0 +1,83 @@
+// Mixes system/tab audio and the microphone into one track; the popup reuses it for its level meter preview
+class AudioMixer {
+    constructor() {
+        this.context = null;
+        this.destination = null;
+        this.inputs = {};
+    }
+
+    // sources: { system: MediaStream, microphone: MediaStream }, either may be missing
+    createTrack(sources, gains = {}, options = {}) {
+        const names = Object.keys(sources).filter(name => sources[name] && sources[name].getAudioTracks().length > 0);
+        if (names.length === 0) {
+            return null;
+        }
+
+        this.context = new AudioContext();
+        this.destination = this.context.createMediaStreamDestination();
+
+        names.forEach(name => {
+            const source = this.context.createMediaStreamSource(sources[name]);
+            const gain = this.context.createGain();
+            const analyser = this.context.createAnalyser();
+
+            gain.gain.value = this.clampGain(gains[name]);
+            analyser.fftSize = 1024;
+
+            source.connect(gain);
+            gain.connect(analyser);
+            gain.connect(this.destination);
+
+            this.inputs[name] = {
+                gain,
+                analyser,
+                buffer: new Float32Array(analyser.fftSize)
+            };
+        });
+
+        // Capturing a tab mutes it locally; play it back so the user still hears the page
+        if (options.monitorSystem && sources.system) {
+            this.context.createMediaStreamSource(sources.system).connect(this.context.destination);
+        }
+
+        return this.destination.stream.getAudioTracks()[0];
+    }
+
+    setGain(name, value) {
+        const input = this.inputs[name];
+        if (input) {
+            input.gain.gain.setTargetAtTime(this.clampGain(value), this.context.currentTime, 0.05);
+        }
+    }
+
+    // RMS level of each source after its gain, 0..1
+    getLevels() {
+        const levels = {};
+
+        Object.entries(this.inputs).forEach(([name, input]) => {
+            input.analyser.getFloatTimeDomainData(input.buffer);
+
+            let sum = 0;
+            for (let i = 0; i < input.buffer.length; i++) {
+                sum += input.buffer[i] * input.buffer[i];
+            }
+            levels[name] = Math.min(1, Math.sqrt(sum / input.buffer.length));
+        });
+
+        return levels;
+    }
+
+    clampGain(value) {
+        const gain = Number(value);
+        return Number.isFinite(gain) ? Math.min(2, Math.max(0, gain)) : 1;
+    }
+
+    close() {
+        if (this.context) {
+            this.context.close();
+        }
+        this.context = null;
+        this.destination = null;
+        this.inputs = {};
+    }
+}
@@ -0,0 +1,99 @@
+// Recording codec and bitrate negotiation, shared by the popup (to offer what works) and the offscreen recorder
+const RECORDING_CODECS = {
+    vp9: {
+        label: 'VP9',
+        mimeTypes: ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp9']
+    },
+    vp8: {
+        label: 'VP8',
+        mimeTypes: ['video/webm;codecs=vp8,opus', 'video/webm;codecs=vp8']
+    },
+    av1: {
+        label: 'AV1',
+        mimeTypes: ['video/webm;codecs=av01,opus', 'video/webm;codecs=av01']
+    },
+    h264: {
+        label: 'H.264',
+        mimeTypes: [
+            'video/mp4;codecs=avc1.42E01F,mp4a.40.2',
+            'video/webm;codecs=h264,opus',
+            'video/x-matroska;codecs=avc1,opus',
+            'video/webm;codecs=h264'
+        ]
+    }
+};
+
+// Tried in this order when the chosen codec isn't available
+const CODEC_FALLBACK_ORDER = ['vp9', 'vp8', 'h264', 'av1'];
+
+// Bits per second for each quality preset at 30 FPS
+const BITRATE_PRESETS = {
+    '720p': {
+        low: { video: 2500000, audio: 96000 },
+        medium: { video: 5000000, audio: 128000 },
+        high: { video: 8000000, audio: 192000 }
+    },
+    '1080p': {
+        low: { video: 4000000, audio: 96000 },
+        medium: { video: 8000000, audio: 128000 },
+        high: { video: 12000000, audio: 192000 }
+    },
+    '1440p': {
+        low: { video: 8000000, audio: 128000 },
+        medium: { video: 16000000, audio: 160000 },
+        high: { video: 24000000, audio: 256000 }
+    }
+};
+
+const WEBCAM_BITRATE = 1500000;
+
+class CodecNegotiator {
+    isSupported(codecId) {
+        return this.findMimeType(codecId) !== null;
+    }
+
+    findMimeType(codecId) {
+        const codec = RECORDING_CODECS[codecId];
+        if (!codec) {
+            return null;
+        }
+        return codec.mimeTypes.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    // Returns the preferred codec if this browser can record it, else the first one that works
+    negotiate(preferredId) {
+        const candidates = RECORDING_CODECS[preferredId]
+            ? [preferredId, ...CODEC_FALLBACK_ORDER.filter(id => id !== preferredId)]
+            : CODEC_FALLBACK_ORDER;
+
+        for (const codecId of candidates) {
+            const mimeType = this.findMimeType(codecId);
+            if (mimeType) {
+                return {
+                    codec: codecId,
+                    mimeType,
+                    fallback: Boolean(RECORDING_CODECS[preferredId]) && codecId !== preferredId
+                };
+            }
+        }
+
+        // Let the browser pick its default container and codec
+        return { codec: null, mimeType: '', fallback: Boolean(RECORDING_CODECS[preferredId]) };
+    }
+
+    getBitrates(quality, level, fps) {
+        const preset = BITRATE_PRESETS[quality] || BITRATE_PRESETS['1080p'];
+        const bitrates = preset[level] || preset.medium;
+        // Higher frame rates need more bits for the same per-frame quality
+        const fpsScale = fps > 30 ? 1.5 : 1;
+
+        return {
+            video: Math.round(bitrates.video * fpsScale),
+            audio: bitrates.audio
+        };
+    }
+
+    getLabel(codecId) {
+        return RECORDING_CODECS[codecId] ? RECORDING_CODECS[codecId].label : 'browser default';
+    }
+}
@@ -0,0 +1,187 @@
+// IndexedDB-backed storage for recorded video chunks
+// Shared by the service worker, the offscreen recorder and the recordings page (all one extension origin)
+const RECORDING_DB_NAME = 'cursorflow';
+const RECORDING_DB_VERSION = 1;
+const CHUNK_STORE = 'chunks';
+
+// Extra tracks such as the webcam are stored under "<recordingId>/<track>"
+const TRACK_SEPARATOR = '/';
+
+class RecordingStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(RECORDING_DB_NAME, RECORDING_DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(CHUNK_STORE)) {
+                        // Chunks are keyed by [recordingId, seq] so a recording's chunks sort together in order
+                        db.createObjectStore(CHUNK_STORE, { keyPath: ['recordingId', 'seq'] });
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    async run(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(CHUNK_STORE, mode);
+            let result;
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+
+            callback(transaction.objectStore(CHUNK_STORE), (value) => {
+                result = value;
+            });
+        });
+    }
+
+    chunkRange(recordingId, fromSeq = 0) {
+        return IDBKeyRange.bound([recordingId, fromSeq], [recordingId, Infinity]);
+    }
+
+    trackId(recordingId, track) {
+        return `${recordingId}${TRACK_SEPARATOR}${track}`;
+    }
+
+    ownerId(storedId) {
+        return storedId.split(TRACK_SEPARATOR)[0];
+    }
+
+    appendChunk(recordingId, seq, blob) {
+        return this.run('readwrite', (store) => {
+            store.put({
+                recordingId,
+                seq,
+                blob,
+                size: blob.size,
+                createdAt: Date.now()
+            });
+        });
+    }
+
+    // Splits large blobs so no single record gets unwieldy
+    async putBlob(recordingId, blob, chunkSize = 16 * 1024 * 1024) {
+        let seq = 0;
+        for (let offset = 0; offset < blob.size; offset += chunkSize) {
+            await this.appendChunk(recordingId, seq++, blob.slice(offset, offset + chunkSize));
+        }
+        return seq;
+    }
+
+    getChunks(recordingId) {
+        return this.run('readonly', (store, setResult) => {
+            const request = store.getAll(this.chunkRange(recordingId));
+            request.onsuccess = () => setResult(request.result);
+        });
+    }
+
+    async getBlob(recordingId, type = 'video/webm') {
+        const chunks = await this.getChunks(recordingId);
+        if (chunks.length === 0) {
+            return null;
+        }
+        return new Blob(chunks.map(chunk => chunk.blob), { type });
+    }
+
+    // Reads one chunk at a time so long recordings never need to be fully in memory
+    createReadStream(recordingId) {
+        let nextSeq = 0;
+
+        return new ReadableStream({
+            pull: async (controller) => {
+                const [chunk] = await this.run('readonly', (store, setResult) => {
+                    const request = store.getAll(this.chunkRange(recordingId, nextSeq), 1);
+                    request.onsuccess = () => setResult(request.result);
+                });
+
+                if (!chunk) {
+                    controller.close();
+                    return;
+                }
+
+                nextSeq = chunk.seq + 1;
+                controller.enqueue(new Uint8Array(await chunk.blob.arrayBuffer()));
+            }
+        });
+    }
+
+    getStats(recordingId) {
+        return this.run('readonly', (store, setResult) => {
+            const stats = { count: 0, size: 0, lastSeq: -1, updatedAt: 0 };
+            const request = store.openCursor(this.chunkRange(recordingId));
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    stats.count++;
+                    stats.size += cursor.value.size;
+                    stats.lastSeq = cursor.value.seq;
+                    stats.updatedAt = Math.max(stats.updatedAt, cursor.value.createdAt);
+                    cursor.continue();
+                } else {
+                    setResult(stats);
+                }
+            };
+        });
+    }
+
+    // Also removes the recording's extra tracks
+    deleteRecording(recordingId) {
+        const prefix = `${recordingId}${TRACK_SEPARATOR}`;
+
+        return this.run('readwrite', (store) => {
+            store.delete(this.chunkRange(recordingId));
+            store.delete(IDBKeyRange.bound([prefix, 0], [`${prefix}\uffff`, Infinity]));
+        });
+    }
+
+    listRecordingIds() {
+        return this.run('readonly', (store, setResult) => {
+            const ids = new Set();
+            const request = store.openKeyCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    ids.add(cursor.key[0]);
+                    cursor.continue();
+                } else {
+                    setResult([...ids]);
+                }
+            };
+        });
+    }
+
+    hasVideo(recording) {
+        return recording.size > 0 && (recording.storage === 'indexeddb' || Boolean(recording.videoData));
+    }
+
+    // Recordings saved before the IndexedDB store kept their video inline as a data URL
+    async getRecordingBlob(recording) {
+        if (recording.storage === 'indexeddb') {
+            return this.getBlob(recording.id, recording.mimeType);
+        }
+
+        if (recording.videoData) {
+            const response = await fetch(recording.videoData);
+            return response.blob();
+        }
+
+        return null;
+    }
+}
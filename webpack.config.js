@@ -4,8 +4,40 @@ const CopyWebpackPlugin = require('copy-webpack-plugin');
 module.exports = {
   entry: {
     'background/service-worker': './background/service-worker.js',
+    'background/storage-manager': './background/storage-manager.js',
+    'background/countdown-overlay': './background/countdown-overlay.js',
+    'content/sensitive-regions': './content/sensitive-regions.js',
     'content/cursor-tracker': './content/cursor-tracker.js',
+    'content/control-bar': './content/control-bar.js',
+    'offscreen/offscreen': './offscreen/offscreen.js',
+    'shared/recording-store': './shared/recording-store.js',
+    'shared/audio-mixer': './shared/audio-mixer.js',
+    'shared/codecs': './shared/codecs.js',
     'popup/popup': './popup/popup.js',
+    'popup/media-permission': './popup/media-permission.js',
+    'editor/coordinate-mapper': './editor/coordinate-mapper.js',
+    'editor/cursor-events': './editor/cursor-events.js',
+    'editor/zoom-engine': './editor/zoom-engine.js',
+    'editor/playback-renderer': './editor/playback-renderer.js',
+    'editor/click-overlay': './editor/click-overlay.js',
+    'editor/cursor-overlay': './editor/cursor-overlay.js',
+    'editor/keystroke-overlay': './editor/keystroke-overlay.js',
+    'editor/blur-overlay': './editor/blur-overlay.js',
+    'editor/webcam-overlay': './editor/webcam-overlay.js',
+    'editor/zoom-timeline': './editor/zoom-timeline.js',
+    'editor/edit-list': './editor/edit-list.js',
+    'editor/trim-timeline': './editor/trim-timeline.js',
+    'editor/hidden-video': './editor/hidden-video.js',
+    'editor/video-exporter': './editor/video-exporter.js',
+    'editor/webm-demuxer': './editor/webm-demuxer.js',
+    'editor/mp4-muxer': './editor/mp4-muxer.js',
+    'editor/mp4-exporter': './editor/mp4-exporter.js',
+    'editor/gif-encoder': './editor/gif-encoder.js',
+    'editor/webp-animation-encoder': './editor/webp-animation-encoder.js',
+    'editor/animation-exporter': './editor/animation-exporter.js',
+    'editor/project-exporter': './editor/project-exporter.js',
+    'editor/project-editor': './editor/project-editor.js',
+    'editor/recording-editor': './editor/recording-editor.js',
     'editor/recordings': './editor/recordings.js'
   },
   output: {
@@ -45,6 +77,14 @@ module.exports = {
           from: 'popup/popup.html',
           to: 'popup/popup.html'
         },
+        {
+          from: 'popup/media-permission.html',
+          to: 'popup/media-permission.html'
+        },
+        {
+          from: 'offscreen/offscreen.html',
+          to: 'offscreen/offscreen.html'
+        },
         {
           from: 'editor/recordings.html',
           to: 'editor/recordings.html'